@@ -6,6 +6,7 @@
 **/
 
 const _ = require('lodash');
+const traverse = require('babel-traverse').default;
 const utils = require('./utils');
 const vio = require('./vio');
 const constant = require('./constant');
@@ -271,6 +272,116 @@ function move(source, target) {
   }
 }
 
+function getCustomReducerCases(filePath, generatedTypes) {
+  // Summary:
+  //  Get switch cases of the reducer which are not generated by templates, and imports they use.
+  const code = vio.getContent(filePath);
+  const cases = [];
+  const imports = [];
+  traverse(vio.getAst(filePath), {
+    FunctionDeclaration(path) {
+      if (_.get(path, 'node.id.name') !== 'reducer') return;
+      path.traverse({
+        SwitchCase(p) {
+          const node = p.node;
+          if (!node.test || (node.test.type === 'Identifier' && _.includes(generatedTypes, node.test.name))) return;
+          const start = node.leadingComments && node.leadingComments.length ? node.leadingComments[0].start : node.start;
+          cases.push(code.slice(start, node.end));
+          p.traverse({
+            ReferencedIdentifier(ip) {
+              const binding = ip.scope.getBinding(ip.node.name);
+              if (!binding || binding.kind !== 'module' || binding.path.node.type !== 'ImportSpecifier') return;
+              imports.push({ source: binding.path.parent.source.value, name: ip.node.name });
+            },
+          });
+        },
+      });
+    },
+  });
+  return { cases, imports: _.uniqWith(imports, _.isEqual) };
+}
+
+function addCustomReducerCases(filePath, custom) {
+  // Summary:
+  //  Add custom cases before the default case of the reducer.
+  if (!custom.cases.length) return;
+  refactor.updateFile(filePath, (ast) => {
+    let changes = [];
+    traverse(ast, {
+      FunctionDeclaration(path) {
+        if (_.get(path, 'node.id.name') !== 'reducer') return;
+        path.traverse({
+          SwitchCase(p) {
+            if (p.node.test) return;
+            const indent = _.repeat(' ', p.node.loc.start.column);
+            const start = p.node.leadingComments && p.node.leadingComments.length ? p.node.leadingComments[0].start : p.node.start;
+            changes.push({ start, end: start, replacement: custom.cases.map(c => `${c}\n\n${indent}`).join('') });
+          },
+        });
+      },
+    });
+    _.forEach(_.groupBy(custom.imports, 'source'), (items, source) => {
+      changes = changes.concat(refactor.addImportFrom(ast, source, null, _.map(items, 'name')));
+    });
+    return changes;
+  });
+}
+
+/**
+ * Convert a sync action to an async action or vice versa. The action file is generated again from the template
+ * while custom cases of the reducer are kept. Constants, the dismiss error action in actions.js and
+ * `xxxPending`/`xxxError` in initialState.js are added or removed accordingly.
+ * @param {string} feature - The feature name.
+ * @param {string} name - The action name.
+ * @param {object} args - Other arguments.
+ * @param {boolean} args.async - True to convert to an async action, false to a sync action.
+ * @alias module:action.convert
+**/
+function convert(feature, name, args) {
+  assert.notEmpty(feature, 'feature');
+  assert.notEmpty(name, 'action name');
+  assert.featureExist(feature);
+
+  feature = _.kebabCase(feature);
+  name = _.camelCase(name);
+  args = args || {};
+
+  const targetPath = utils.mapReduxFile(feature, name);
+  if (!vio.fileExists(targetPath)) {
+    utils.fatalError(`Action doesn't exist: ${feature}/${name}`);
+  }
+  const actionType = utils.getActionType(feature, name);
+  const actionTypes = utils.getAsyncActionTypes(feature, name);
+  const asyncTypes = [actionTypes.begin, actionTypes.success, actionTypes.failure, actionTypes.dismissError];
+  const custom = getCustomReducerCases(targetPath, asyncTypes.concat(actionType));
+
+  if (args.async) {
+    template.generate(targetPath, {
+      force: true,
+      templateFile: 'redux/async_action.js',
+      context: { feature, actionTypes, action: name },
+    });
+    constant.remove(feature, actionType);
+    asyncTypes.forEach(type => constant.add(feature, type));
+    entry.addToActions(feature, `dismiss${_.pascalCase(name)}Error`, name);
+    entry.addToInitialState(feature, `${name}Pending`, 'false');
+    entry.addToInitialState(feature, `${name}Error`, 'null');
+  } else {
+    template.generate(targetPath, {
+      force: true,
+      templateFile: 'redux/action.js',
+      context: { feature, actionType, action: name },
+    });
+    asyncTypes.forEach(type => constant.remove(feature, type));
+    constant.add(feature, actionType);
+    entry.removeFromActions(feature, null, name);
+    entry.addToActions(feature, name);
+    entry.removeFromInitialState(feature, `${name}Pending`);
+    entry.removeFromInitialState(feature, `${name}Error`);
+  }
+  addCustomReducerCases(targetPath, custom);
+}
+
 module.exports = {
   add,
   remove,
@@ -278,4 +389,5 @@ module.exports = {
   addAsync,
   removeAsync,
   moveAsync,
+  convert,
 };
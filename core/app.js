@@ -7,17 +7,148 @@
 
 const _ = require('lodash');
 const mPath = require('path');
-const shell = require('shelljs');
 const traverse = require('babel-traverse').default;
 const vio = require('./vio');
 const utils = require('./utils');
+const backend = require('./backend');
 const refactor = require('./refactor');
+const cache = require('./cache');
 
-const propsCache = {};
-const depsCache = {};
+// In-memory caches of analysis results: { [file]: { content, inputs, value } }, see isCacheValid.
+let propsCache = {};
+let depsCache = {};
+
+// Used by context to switch caches between projects.
+function getState() {
+  return { propsCache, depsCache };
+}
+
+function setState(state) {
+  propsCache = state ? state.propsCache : {};
+  depsCache = state ? state.depsCache : {};
+}
+
+function isCacheValid(entry, content) {
+  // Summary:
+  //  An in-memory cache entry is valid if neither the module nor modules it depends on have changed in vio.
+  return !!entry && entry.content === content && !cache.isChanged(entry.inputs);
+}
+
+function isJsx(node) {
+  if (!node) return false;
+  switch (node.type) {
+    case 'JSXElement':
+    case 'JSXFragment':
+      return true;
+    case 'ConditionalExpression':
+      return isJsx(node.consequent) || isJsx(node.alternate);
+    case 'LogicalExpression':
+      return isJsx(node.right);
+    default:
+      return false;
+  }
+}
+
+function getReturnPaths(path) {
+  // Summary:
+  //  Get paths of values returned by a function, returns of nested functions are excluded.
+  if (path.node.body.type !== 'BlockStatement') return [path.get('body')];
+  const res = [];
+  path.traverse({
+    Function(p) {
+      p.skip();
+    },
+    ReturnStatement(p) {
+      if (p.node.argument) res.push(p.get('argument'));
+    },
+  });
+  return res;
+}
+
+function getComponentKind(path, visited) {
+  // Summary:
+  //  Get the component kind of a declaration or an expression: class, function, memo, forwardRef or hoc.
+  //  Identifiers are resolved to their declarations, components wrapped by calls like connect()(Comp) or
+  //  withRouter(Comp) have the kind of the wrapped one.
+  const node = path && path.node;
+  visited = visited || [];
+  if (!node || _.includes(visited, node)) return null;
+  visited.push(node);
+
+  if (path.isClass()) {
+    const hasRender = node.body.body.some(n => n.type === 'ClassMethod' && _.get(n, 'key.name') === 'render');
+    return node.superClass && hasRender ? 'class' : null;
+  }
+  if (path.isFunction()) {
+    const returns = getReturnPaths(path);
+    if (returns.some(p => isJsx(p.node))) return 'function';
+    if (returns.some(p => (p.isFunction() || p.isClass()) && getComponentKind(p, visited))) return 'hoc';
+    return null;
+  }
+  if (path.isIdentifier()) {
+    const binding = path.scope.getBinding(node.name);
+    if (!binding) return null;
+    const declPath = binding.path.isVariableDeclarator() ? binding.path.get('init') : binding.path;
+    return getComponentKind(declPath, visited);
+  }
+  if (path.isCallExpression()) {
+    const callee = node.callee;
+    const name = callee.type === 'MemberExpression' ? _.get(callee, 'property.name') : callee.name;
+    if (name === 'memo' || name === 'forwardRef') return name;
+    return path.get('arguments').map(p => getComponentKind(p, visited)).filter(Boolean)[0] || null;
+  }
+  return null;
+}
+
+function getModuleComponentKind(programPath) {
+  // Summary:
+  //  Get the component kind of a module. The default export decides it if it exists, otherwise the first
+  //  top level component (PascalCase name) or HOC.
+  const candidates = [];
+  programPath.get('body').forEach((p) => {
+    if (p.isExportDefaultDeclaration()) {
+      candidates.unshift({ isDefault: true, path: p.get('declaration') });
+      return;
+    }
+    const decl = p.isExportNamedDeclaration() ? p.get('declaration') : p;
+    if (!decl.node) return;
+    if (decl.isVariableDeclaration()) {
+      decl.get('declarations').forEach((d) => {
+        candidates.push({ name: _.get(d, 'node.id.name'), path: d.get('init') });
+      });
+    } else if (decl.isFunctionDeclaration() || decl.isClassDeclaration()) {
+      candidates.push({ name: _.get(decl, 'node.id.name'), path: decl });
+    }
+  });
+
+  if (candidates[0] && candidates[0].isDefault) return getComponentKind(candidates[0].path);
+  let res = null;
+  candidates.some((c) => {
+    const kind = getComponentKind(c.path);
+    if (kind && (kind === 'hoc' || /^[A-Z]/.test(c.name || ''))) res = kind;
+    return !!res;
+  });
+  return res;
+}
+
+/**
+ * Get rekit related properties of a module: whether it's a component or an action. Components could be
+ * classes, function components, `React.memo` or `React.forwardRef` wrapped ones, or HOC factories,
+ * `props.component.kind` is 'class', 'function', 'memo', 'forwardRef' or 'hoc' accordingly.
+ * @param {string} file - The module path.
+ * @returns {Object} `{ type, component, action }`, type is 'component', 'action' or 'misc'.
+ * @alias module:app.getRekitProps
+**/
 function getRekitProps(file) {
-  if (propsCache[file] && propsCache[file].content === vio.getContent(file)) {
-    return propsCache[file].props;
+  const content = vio.getContent(file);
+  if (isCacheValid(propsCache[file], content)) {
+    return propsCache[file].value;
+  }
+  const cached = cache.get('props', file, content);
+  if (cached) {
+    // Rekit props only depend on the content of the module itself
+    propsCache[file] = { content, inputs: {}, value: cached };
+    return cached;
   }
   const ast = vio.getAst(file);
   const ff = {}; // File features
@@ -42,13 +173,11 @@ function getRekitProps(file) {
           break;
       }
     },
-    ClassDeclaration(path) {
-      if (
-        path.node.superClass
-        && path.node.body.body.some(n => n.type === 'ClassMethod' && n.key.name === 'render')
-      ) {
-        ff.hasClassAndRenderMethod = true;
-      }
+    Program(path) {
+      ff.componentKind = getModuleComponentKind(path);
+    },
+    JSXElement() {
+      ff.hasJsx = true;
     },
     CallExpression(path) {
       if (path.node.callee.name === 'connect') {
@@ -62,7 +191,8 @@ function getRekitProps(file) {
     }
   });
   const props = {
-    component: ff.importReact && ff.hasClassAndRenderMethod && {
+    component: (ff.importReact || ff.hasJsx) && ff.componentKind && {
+      kind: ff.componentKind,
       connectToStore: ff.connectCall,
     },
     action: ff.exportReducer && ff.importConstant && {
@@ -75,9 +205,11 @@ function getRekitProps(file) {
   else props.type = 'misc';
 
   propsCache[file] = {
-    content: vio.getContent(file),
-    props,
+    content,
+    inputs: {},
+    value: props,
   };
+  cache.set('props', file, content, props);
   return props;
 }
 
@@ -85,7 +217,7 @@ function getRekitProps(file) {
  * Get all features names (folder names).
  */
 function getFeatures() {
-  return _.toArray(shell.ls(utils.joinPath(utils.getProjectRoot(), 'src/features')));
+  return backend.ls(utils.joinPath(utils.getProjectRoot(), 'src/features'));
 }
 
 /**
@@ -183,7 +315,8 @@ function getFeatureStructure(feature) {
   const dir = utils.joinPath(utils.getProjectRoot(), 'src/features', feature);
   const noneMisc = {};
 
-  const components = shell.ls(dir + '/*.js').map((file) => {
+  const listJsFiles = d => backend.ls(d).filter(f => /\.js$/.test(f)).map(f => utils.joinPath(d, f));
+  const components = listJsFiles(dir).map((file) => {
     const props = getRekitProps(file);
     if (props && props.component) {
       noneMisc[file] = true;
@@ -199,7 +332,7 @@ function getFeatureStructure(feature) {
     return null;
   }).filter(item => !!item).sort((a, b) => a.name.localeCompare(b.name));
 
-  const actions = shell.ls(dir + '/redux/*.js').map((file) => {
+  const actions = listJsFiles(dir + '/redux').map((file) => {
     const props = getRekitProps(file);
     if (props && props.action) {
       noneMisc[file] = true;
@@ -215,9 +348,9 @@ function getFeatureStructure(feature) {
 
   function getMiscFiles(root) {
     const arr = [];
-    shell.ls(root).forEach((file) => {
+    backend.ls(root).forEach((file) => {
       const fullPath = utils.joinPath(root, file);
-      if (shell.test('-d', fullPath)) {
+      if (backend.isDirectory(fullPath)) {
         // is directory
         arr.push({
           feature,
@@ -269,6 +402,10 @@ function getEntryData(filePath) {
   // Summary:
   //  Get entry files content such as actions.js, index.js where usually define 'export { aaa, bbb } from 'xxx';
 
+  const content = vio.getContent(filePath);
+  const cached = cache.get('entry', filePath, content);
+  if (cached) return cached;
+
   const ast = vio.getAst(filePath);
   const feature = utils.getFeatureName(filePath); // many be empty
   const data = {
@@ -290,9 +427,167 @@ function getEntryData(filePath) {
       data.bySource[sourceFile] = specifiers;
     },
   });
+  cache.set('entry', filePath, content, data);
   return data;
 }
 
+function getDefaultExportPath(file) {
+  let res = null;
+  traverse(vio.getAst(file), {
+    ExportDefaultDeclaration(path) {
+      res = path.get('declaration');
+      path.stop();
+    },
+  });
+  return res;
+}
+
+function getImportedFile(file, path) {
+  // Summary:
+  //  Resolve an identifier to the file where it's defined. Imports from a feature index are resolved
+  //  to the real module by the index's exports.
+  const binding = path.scope.getBinding(path.node.name);
+  if (!binding) return null;
+  if (binding.kind !== 'module') return file;
+  const source = binding.path.parentPath.node.source.value;
+  if (!refactor.isLocalModule(source)) return null;
+  const resolvedPath = refactor.resolveModulePath(file, source);
+  if (isFeatureIndex(resolvedPath) && binding.path.isImportSpecifier()) {
+    return vio.fileExists(`${resolvedPath}.js`)
+      ? getEntryData(`${resolvedPath}.js`).exported[binding.path.node.imported.name] || null
+      : null;
+  }
+  return vio.fileExists(`${resolvedPath}.js`) ? `${resolvedPath}.js` : null;
+}
+
+function findRouteObjects(file, path, visited) {
+  // Summary:
+  //  Find route config objects an expression evaluates to. It follows arrays, spread elements,
+  //  calls like [...].filter(), variables and default imports of other route config files.
+  if (!path || !path.node || _.includes(visited, path.node)) return [];
+  visited.push(path.node);
+  if (path.isObjectExpression()) return [{ file, path }];
+  if (path.isArrayExpression()) {
+    return _.flatten(path.get('elements').map(p => findRouteObjects(file, p.isSpreadElement() ? p.get('argument') : p, visited)));
+  }
+  if (path.isCallExpression() && path.get('callee').isMemberExpression()) {
+    return findRouteObjects(file, path.get('callee.object'), visited);
+  }
+  if (path.isIdentifier()) {
+    const binding = path.scope.getBinding(path.node.name);
+    if (!binding) return [];
+    if (binding.path.isVariableDeclarator()) return findRouteObjects(file, binding.path.get('init'), visited);
+    if (binding.path.isImportDefaultSpecifier()) {
+      const targetFile = getImportedFile(file, path);
+      return targetFile ? findRouteObjects(targetFile, getDefaultExportPath(targetFile), visited) : [];
+    }
+  }
+  return [];
+}
+
+function joinUrlPath(parentPath, urlPath) {
+  if (!urlPath) return parentPath || '/';
+  const res = /^\//.test(urlPath) ? urlPath : `${parentPath}/${urlPath}`;
+  return res.replace(/\/+/g, '/');
+}
+
+function urlPathToRegExp(urlPath) {
+  // Convert a react-router path pattern to a regular expression, i.e. '/topic/:id(/:page)' or '/*'.
+  const re = urlPath.split(/(:\w+|\*|\(|\))/).map((part) => {
+    if (part === '*') return '.*';
+    if (part === '(') return '(?:';
+    if (part === ')') return ')?';
+    if (/^:\w+$/.test(part)) return '[^/]+';
+    return _.escapeRegExp(part);
+  }).join('');
+  return new RegExp(`^${re}/?$`);
+}
+
+function getRouteConflicts(routes) {
+  // Summary:
+  //  Find conflicts of leaf routes (those render a component without child routes). Routes are matched
+  //  in order, so a route is shadowed if an earlier one matches all its urls.
+  const leaves = [];
+  function collect(arr, parentPath) {
+    // The first index route also serves the url of its parent
+    const indexRoute = _.find(arr, 'isIndex');
+    arr.forEach((r) => {
+      if (r === indexRoute && r.path !== parentPath) leaves.push({ path: parentPath, route: r });
+      if (r.childRoutes.length) collect(r.childRoutes, r.path);
+      else if (r.component) leaves.push({ path: r.path, route: r });
+    });
+  }
+  collect(routes, '/');
+
+  const brief = r => _.pick(r, ['path', 'feature', 'component', 'file']);
+  const conflicts = [];
+  _.values(_.groupBy(leaves, 'path')).forEach((group) => {
+    if (group.length > 1) conflicts.push({ type: 'duplicate', path: group[0].path, routes: group.map(l => brief(l.route)) });
+  });
+  leaves.forEach((l, i) => {
+    // Params match themselves while '*' should match more than one segment
+    const sample = l.path.replace(/\*/g, 'a/b');
+    const by = _.find(leaves.slice(0, i), l2 => l2.path !== l.path && urlPathToRegExp(l2.path).test(sample));
+    if (by) conflicts.push({ type: 'shadowed', path: l.path, routes: [brief(by.route), brief(l.route)] });
+  });
+  return conflicts;
+}
+
+/**
+ * Get the resolved route tree of the whole app. It starts from `src/common/routeConfig.js`, follows routes
+ * of features and nested `childRoutes` at any depth. Route paths are resolved to absolute urls, the first index
+ * route of child routes also serves the url of its parent and a '*' path is a fallback.
+ * @returns {Object} `{ routes, conflicts }`. Routes are in form of
+ *   `{ path, name, component, componentFile, file, feature, isIndex, isFallback, node, childRoutes }` where file is
+ *   the route config file, node is `{ start, end }` of the route object in it and componentFile is where the
+ *   component is defined (null if not resolved).
+ *   Conflicts are `{ type, path, routes }`, type is 'duplicate' if leaf routes have the same url or 'shadowed'
+ *   if a route could never be matched because of an earlier one.
+ * @alias module:app.getRouteTree
+ *
+ * @example
+ * const app = require('rekit-core').app;
+ * app.getRouteTree().conflicts;
+ * // => [{ type: 'shadowed', path: '/home/new', routes: [{ path: '/home/:id', ... }, { path: '/home/new', ... }] }]
+**/
+function getRouteTree() {
+  const configFile = utils.mapSrcFile('common/routeConfig.js');
+  const visited = [];
+
+  function resolveRoutes(items, parentPath) {
+    return items.map((item) => {
+      const props = {};
+      item.path.get('properties').forEach((p) => {
+        if (!p.isObjectProperty() || p.node.computed) return;
+        props[p.node.key.name || p.node.key.value] = p.get('value');
+      });
+      const value = key => _.get(props[key], 'node.value');
+      const isIndex = value('isIndex') === true;
+      const isFallback = value('path') === '*';
+      const componentPath = props.component && props.component.isIdentifier() ? props.component : null;
+      const urlPath = joinUrlPath(parentPath, value('path'));
+      return {
+        path: urlPath,
+        name: value('name') || null,
+        component: componentPath ? componentPath.node.name : null,
+        componentFile: componentPath ? getImportedFile(item.file, componentPath) : null,
+        file: item.file,
+        feature: utils.getFeatureName(item.file) || null,
+        isIndex,
+        isFallback,
+        node: {
+          start: item.path.node.start,
+          end: item.path.node.end,
+        },
+        childRoutes: props.childRoutes ? resolveRoutes(findRouteObjects(item.file, props.childRoutes, visited), urlPath) : [],
+      };
+    });
+  }
+
+  const routes = resolveRoutes(findRouteObjects(configFile, getDefaultExportPath(configFile), visited), '');
+  return { routes, conflicts: getRouteConflicts(routes) };
+}
+
 /**
  * Get dependencies of a module by path.
  * @param {string} modulePath - The full path of the module.
@@ -300,11 +595,16 @@ function getEntryData(filePath) {
 **/
 function getDeps(filePath) {
   // Summary:
-  //   Get dependencies of a module
+  //   Get dependencies of a module. Besides the content of the module, the result depends on modules it
+  //   imports, so they are inputs of the persistent cache.
 
-  if (depsCache[filePath] && depsCache[filePath].content === vio.getContent(filePath)) {
-    return depsCache[filePath].deps;
+  const content = vio.getContent(filePath);
+  if (isCacheValid(depsCache[filePath], content)) {
+    return depsCache[filePath].value;
   }
+  // The persistent cache checks its inputs by itself
+  const cached = cache.get('deps', filePath, content);
+  if (cached) return cached;
 
   const ast = vio.getAst(filePath);
 
@@ -317,6 +617,7 @@ function getDeps(filePath) {
 
   const namespaceActions = {}; // import * as xxx from 'actions';
   const namespaceIndex = {}; // import * as xxx from 'feature';
+  const namespaceConstants = {}; // import * as xxx from './constants';
 
   function pushDep(type, data) {
     // Be sure no duplicated deps
@@ -327,6 +628,7 @@ function getDeps(filePath) {
   }
 
   const depFiles = [];
+  const inputs = [];
 
   traverse(ast, {
     ExportNamedDeclaration(path) {
@@ -335,7 +637,8 @@ function getDeps(filePath) {
       const resolvedPath = refactor.resolveModulePath(filePath, depModule);
       // if (!isLocalModule(depModule)) return;
       const fullPath = resolvedPath + '.js';
-      if (!shell.test('-e', fullPath)) return;  // only depends on js modules, no json or other support
+      inputs.push(fullPath);
+      if (!vio.fileExists(fullPath)) return;  // only depends on js modules, no json or other support
       depFiles.push({
         name: mPath.basename(resolvedPath),
         file: fullPath,
@@ -347,7 +650,8 @@ function getDeps(filePath) {
       if (!source) return;
       const resolvedPath = refactor.resolveModulePath(filePath, source);
       const fullPath = resolvedPath + '.js';
-      if (!shell.test('-e', fullPath)) return;  // only depends on js modules, no json or other support
+      inputs.push(fullPath);
+      if (!vio.fileExists(fullPath)) return;  // only depends on js modules, no json or other support
       depFiles.push({
         name: mPath.basename(resolvedPath),
         file: fullPath,
@@ -360,9 +664,11 @@ function getDeps(filePath) {
       const resolvedPath = refactor.resolveModulePath(filePath, depModule);
       // Only show deps of local modules
       if (!refactor.isLocalModule(depModule)) return;
+      inputs.push(resolvedPath + '.js');
       if (isFeatureIndex(resolvedPath)) {
         // Import from feature index
         const indexFile = resolvedPath + '.js';
+        if (!vio.fileExists(indexFile)) return;
         // if (!/index$/.test(indexFile)) {
         //   indexFile = utils.joinPath(resolvedPath, 'index');
         // }
@@ -390,7 +696,7 @@ function getDeps(filePath) {
       }
 
       const fullPath = resolvedPath + '.js';
-      if (!shell.test('-e', fullPath)) return;  // only depends on js modules, no json or other support
+      if (!vio.fileExists(fullPath)) return;  // only depends on js modules, no json or other support
 
       // Import from actions
       if (isActionEntry(fullPath)) {
@@ -420,6 +726,11 @@ function getDeps(filePath) {
 
       if (isConstantEntry(fullPath)) {
         node.specifiers.forEach((specifier) => {
+          if (specifier.type === 'ImportNamespaceSpecifier') {
+            namespaceConstants[specifier.local.name] = fullPath;
+            return;
+          }
+          if (specifier.type !== 'ImportSpecifier') return;
           deps.constants.push({
             name: specifier.imported.name,
             feature: utils.getFeatureName(fullPath),
@@ -459,6 +770,13 @@ function getDeps(filePath) {
           name: propName,
           file: indexEntry.exported[propName],
         });
+      } else if (_.has(namespaceConstants, objName) && !_.find(deps.constants, { name: propName })) {
+        deps.constants.push({
+          name: propName,
+          feature: utils.getFeatureName(namespaceConstants[objName]),
+          file: namespaceConstants[objName],
+          type: 'constant',
+        });
       }
     },
   });
@@ -469,30 +787,738 @@ function getDeps(filePath) {
     if (props.component) {
       const feature = utils.getFeatureName(item.file);
       if (feature && !_.find(deps.component, { feature, name: item.name })) {
-        deps.components.push({
+        deps.components.push(Object.assign({
           feature,
           type: 'component',
           name: item.name,
           file: item.file,
-        });
+        }, item.dynamic ? { dynamic: true } : {}));
       }
     } else {
-      deps.misc.push({
+      deps.misc.push(Object.assign({
         feature: utils.getFeatureName(item.file) || null,
         type: 'misc',
         name: mPath.basename(item.file),
         file: item.file,
-      });
+      }, item.dynamic ? { dynamic: true } : {}));
     }
   });
 
+  const allInputs = inputs.concat(depFiles.map(item => item.file));
   depsCache[filePath] = {
-    content: vio.getContent(filePath),
-    deps,
+    content,
+    inputs: cache.getInputs(allInputs),
+    value: deps,
   };
+  cache.set('deps', filePath, content, deps, allInputs);
   return deps;
 }
 
+function findFiles(dir) {
+  // Summary:
+  //  List files under a folder recursively, both files on the disk and in vio.
+  return _.uniq(_.flatten(vio.ls(dir).map((file) => {
+    if (backend.isDirectory(file) || (vio.dirExists(file) && !vio.fileExists(file))) return findFiles(file);
+    return [file];
+  })));
+}
+
+/**
+ * List js files under a folder recursively, both files on the disk and in vio.
+ * @param {string} dir - The full path of the folder.
+ * @alias module:app.findJsFiles
+**/
+function findJsFiles(dir) {
+  return findFiles(dir).filter(file => /\.js$/.test(file));
+}
+
+function getNode(file) {
+  const type = getRekitProps(file).type;
+  return {
+    file,
+    type,
+    feature: utils.getFeatureName(file),
+    name: type === 'misc' ? mPath.basename(file) : mPath.basename(file, '.js'),
+  };
+}
+
+/**
+ * Get the dependency graph of all js modules under src folder. It's built by `getDeps` of each module
+ * which is cached by the file content, so only changed modules are parsed again when the project changes.
+ * @returns {Object} The graph in form of `{ nodes, edges }`, nodes are `{ file, type, feature, name }`,
+ *   edges are `{ from, to, type, dynamic }` where from and to are file paths, type is the dependency type:
+ *   'component', 'action', 'constant' or 'misc', dynamic is true for dependencies by `import()`.
+ * @alias module:app.getGraph
+ *
+ * @example
+ * const app = require('rekit-core').app;
+ * app.getGraph();
+ * // => { nodes: [{ file: '/path/to/src/features/home/TopicList.js', type: 'component', feature: 'home', name: 'TopicList' }, ...],
+ * //      edges: [{ from: '/path/to/src/features/home/index.js', to: '/path/to/src/features/home/TopicList.js', type: 'component' }, ...] }
+**/
+function getGraph() {
+  const files = [];
+  const edges = [];
+  const added = {};
+  findJsFiles(utils.mapSrcFile('')).sort().forEach((file) => {
+    let deps;
+    try {
+      deps = getDeps(file);
+    } catch (e) {
+      // A module which can't be parsed shouldn't break features built on the graph, like moving elements
+      utils.warn(`Warning: ${file} is ignored in the dependency graph. ${e.message}`);
+      return;
+    }
+    files.push(file);
+    [['components', 'component'], ['actions', 'action'], ['constants', 'constant'], ['misc', 'misc']].forEach((pair) => {
+      deps[pair[0]].forEach((dep) => {
+        const key = `${file} => ${dep.file}`;
+        if (added[key]) return;
+        added[key] = true;
+        edges.push(Object.assign({ from: file, to: dep.file, type: pair[1] }, dep.dynamic ? { dynamic: true } : {}));
+      });
+    });
+  });
+  const graph = {
+    nodes: files.map(getNode),
+    edges,
+  };
+  return graph;
+}
+
+function resolveElement(element) {
+  // Summary:
+  //  Get the file of an element: a file path, 'feature/name' of a component or action, or { feature, name, type }.
+  if (_.isPlainObject(element)) {
+    if (element.file) return element.file;
+    return element.type === 'action'
+      ? utils.mapReduxFile(element.feature, element.name)
+      : utils.mapComponent(element.feature, element.name) + '.js';
+  }
+  if (mPath.isAbsolute(element)) return element;
+  const arr = element.split('/');
+  const file = [utils.mapComponent(arr[0], arr[1]) + '.js', utils.mapReduxFile(arr[0], arr[1])].find(vio.fileExists);
+  if (!file) utils.fatalError(`Can't find the element: ${element}`);
+  return file;
+}
+
+function findRelated(element, args, fromKey, toKey) {
+  // Summary:
+  //  Find nodes connected to the element by edges from 'fromKey' to 'toKey', transitively if args.transitive.
+  args = args || {};
+  const graph = getGraph();
+  const byFile = _.groupBy(graph.edges, fromKey);
+  const start = resolveElement(element);
+  const found = {};
+  let queue = [start];
+  while (queue.length) {
+    const next = [];
+    queue.forEach((file) => {
+      (byFile[file] || []).forEach((edge) => {
+        const f = edge[toKey];
+        if (found[f] || f === start) return;
+        found[f] = true;
+        if (args.transitive) next.push(f);
+      });
+    });
+    queue = next;
+  }
+  return graph.nodes.filter(n => found[n.file]);
+}
+
+/**
+ * Get modules which depend on an element, i.e. who uses a component or an action.
+ * @param {string|Object} element - The file path, 'feature/name' of a component or action, or `{ feature, name, type }`.
+ * @param {Object} [args] - Options.
+ * @param {boolean} [args.transitive=false] - Also find modules depending on them recursively.
+ * @returns {Array} Nodes of the graph, see `getGraph`.
+ * @alias module:app.getDependents
+ *
+ * @example
+ * const app = require('rekit-core').app;
+ * app.getDependents('home/TopicList'); // => [{ file: '/path/to/src/features/home/index.js', type: 'misc', ... }, ...]
+ * app.getDependents({ feature: 'home', name: 'fetchTopics', type: 'action' }, { transitive: true });
+**/
+function getDependents(element, args) {
+  return findRelated(element, args, 'to', 'from');
+}
+
+/**
+ * Get modules which an element depends on, like `getDeps` but in the graph node form and could be transitive.
+ * @param {string|Object} element - The file path, 'feature/name' of a component or action, or `{ feature, name, type }`.
+ * @param {Object} [args] - Options.
+ * @param {boolean} [args.transitive=false] - Also find dependencies of dependencies recursively.
+ * @returns {Array} Nodes of the graph, see `getGraph`.
+ * @alias module:app.getDependencies
+**/
+function getDependencies(element, args) {
+  return findRelated(element, args, 'from', 'to');
+}
+
+function getExportedConstants(file) {
+  const names = [];
+  traverse(vio.getAst(file), {
+    ExportNamedDeclaration(path) {
+      _.get(path, 'node.declaration.declarations', []).forEach((d) => {
+        if (d.id && d.id.name) names.push(d.id.name);
+      });
+    },
+  });
+  return names;
+}
+
+function removeUnused(item) {
+  // Summary:
+  //  Remove an unused element by core commands so that all related files are updated.
+  const rekitCore = require('./index');
+  switch (item.type) {
+    case 'component':
+      rekitCore.removeComponent(item.feature, item.name);
+      break;
+    case 'action':
+      rekitCore.removeAction(item.feature, item.name);
+      break;
+    case 'constant':
+      rekitCore.constant.remove(item.feature, item.name);
+      break;
+    case 'style': {
+      vio.del(item.file);
+      const styleEntry = utils.mapFeatureFile(item.feature, 'style.' + utils.getCssExt());
+      if (vio.fileExists(styleEntry)) refactor.removeStyleImport(styleEntry, './' + mPath.basename(item.file));
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+/**
+ * Find elements which are not used by others:
+ *  - component: exported from the feature `index.js` but not imported by any other module or route.
+ *  - action: exported from `redux/actions.js` but not used by any module except `actions.js` and `reducer.js`.
+ *  - constant: defined in `redux/constants.js` but never imported.
+ *  - style: a `.less` or `.scss` file of a component which doesn't exist.
+ *
+ * Each item has a `remove()` method to remove the element by `removeComponent`, `removeAction`,
+ * `constant.remove` or deleting the style file. Like other commands, changes are in vio until flushed.
+ * @param {Object} [args] - Options.
+ * @param {string} [args.feature] - Only find unused elements of the feature.
+ * @returns {Array} Unused elements in form of `{ type, feature, name, file, remove }`.
+ * @alias module:app.findUnused
+ *
+ * @example
+ * const rekitCore = require('rekit-core');
+ * const unused = rekitCore.app.findUnused();
+ * // => [{ type: 'component', feature: 'home', name: 'OldList', file: '/path/to/src/features/home/OldList.js', remove: [Function] }]
+ * unused.forEach(item => item.remove());
+ * rekitCore.vio.flush();
+**/
+function findUnused(args) {
+  args = args || {};
+  const graph = getGraph();
+  const dependents = _.mapValues(_.groupBy(graph.edges, 'to'), edges => edges.map(e => e.from));
+  const usedConstants = {};
+  graph.nodes.forEach((n) => {
+    getDeps(n.file).constants.forEach((c) => {
+      usedConstants[`${c.file}#${c.name}`] = true;
+    });
+  });
+  const isUsed = (file, ignored) => _.difference(dependents[file] || [], ignored).length > 0;
+
+  const features = args.feature
+    ? [_.kebabCase(args.feature)]
+    : _.uniq(graph.nodes.map(n => n.feature).filter(Boolean)).sort();
+  const res = [];
+  const push = item => res.push(Object.assign(item, { remove: () => removeUnused(item) }));
+  features.forEach((feature) => {
+    const indexFile = utils.mapFeatureFile(feature, 'index.js');
+    if (vio.fileExists(indexFile)) {
+      _.uniq(_.values(getEntryData(indexFile).exported)).forEach((file) => {
+        if (!vio.fileExists(file) || !getRekitProps(file).component || isUsed(file, [indexFile])) return;
+        push({ type: 'component', feature, name: mPath.basename(file, '.js'), file });
+      });
+    }
+
+    const actionsFile = utils.mapReduxFile(feature, 'actions');
+    if (vio.fileExists(actionsFile)) {
+      const ignored = [actionsFile, utils.mapReduxFile(feature, 'reducer')];
+      _.uniq(_.values(getEntryData(actionsFile).exported)).forEach((file) => {
+        if (!vio.fileExists(file) || isUsed(file, ignored)) return;
+        push({ type: 'action', feature, name: mPath.basename(file, '.js'), file });
+      });
+    }
+
+    const constantsFile = utils.mapReduxFile(feature, 'constants');
+    if (vio.fileExists(constantsFile)) {
+      getExportedConstants(constantsFile).forEach((name) => {
+        if (usedConstants[`${constantsFile}#${name}`]) return;
+        push({ type: 'constant', feature, name, file: constantsFile });
+      });
+    }
+
+    vio.ls(utils.mapFeatureFile(feature, ''))
+      .filter(file => /\.(less|scss)$/.test(file) && !/\/style\.(less|scss)$/.test(file))
+      .filter(file => mPath.dirname(file) === utils.mapFeatureFile(feature, ''))
+      .forEach((file) => {
+        if (vio.fileExists(file.replace(/\.(less|scss)$/, '.js'))) return;
+        push({ type: 'style', feature, name: mPath.basename(file).replace(/\.(less|scss)$/, ''), file });
+      });
+  });
+  return res;
+}
+
+const SEARCH_TYPES = ['component', 'action', 'constant', 'initialState', 'route'];
+
+function getLocation(node) {
+  return { line: node.loc.start.line, column: node.loc.start.column };
+}
+
+function findDeclaration(file, name) {
+  // Summary:
+  //  Find the top level declaration of a name in a module, fall back to the default export.
+  let defaultExport = null;
+  let res = null;
+  vio.getAst(file).program.body.some((node) => {
+    if (node.type === 'ExportDefaultDeclaration' && !defaultExport) defaultExport = node;
+    const decl = /^Export/.test(node.type) && node.declaration ? node.declaration : node;
+    if (_.get(decl, 'id.name') === name) res = decl;
+    else if (decl.type === 'VariableDeclaration') res = _.find(decl.declarations, d => _.get(d, 'id.name') === name);
+    return !!res;
+  });
+  return res || defaultExport;
+}
+
+function getSearchSymbols(types, match) {
+  // Summary:
+  //  Get definitions of symbols of the given types whose names match the query.
+  const symbols = [];
+  function add(type, feature, name, file, loc) {
+    if (!_.includes(types, type) || !match(name) || !loc) return;
+    symbols.push(Object.assign({ type, name, feature, kind: 'definition', file }, loc));
+  }
+
+  const graph = getGraph();
+  if (_.includes(types, 'component')) {
+    graph.nodes.filter(n => n.type === 'component').forEach((n) => {
+      const decl = findDeclaration(n.file, n.name);
+      add('component', n.feature, n.name, n.file, decl ? getLocation(decl) : { line: 1, column: 0 });
+    });
+  }
+
+  _.uniq(graph.nodes.map(n => n.feature).filter(Boolean)).sort().forEach((feature) => {
+    const actionsFile = utils.mapReduxFile(feature, 'actions');
+    if (_.includes(types, 'action') && vio.fileExists(actionsFile)) {
+      _.forOwn(getEntryData(actionsFile).exported, (file, name) => {
+        const decl = vio.fileExists(file) && findDeclaration(file, name);
+        if (decl) add('action', feature, name, file, getLocation(decl));
+      });
+    }
+    const constantsFile = utils.mapReduxFile(feature, 'constants');
+    if (_.includes(types, 'constant') && vio.fileExists(constantsFile)) {
+      getExportedConstants(constantsFile).forEach((name) => {
+        add('constant', feature, name, constantsFile, getLocation(findDeclaration(constantsFile, name)));
+      });
+    }
+    const initialStateFile = utils.mapReduxFile(feature, 'initialState');
+    if (_.includes(types, 'initialState') && vio.fileExists(initialStateFile)) {
+      const decl = findDeclaration(initialStateFile, 'initialState');
+      _.get(decl, 'init.properties', []).forEach((p) => {
+        const name = _.get(p, 'key.name') || _.get(p, 'key.value');
+        if (name) add('initialState', feature, name, initialStateFile, getLocation(p));
+      });
+    }
+  });
+
+  if (_.includes(types, 'route')) {
+    const addRoutes = routes => routes.forEach((r) => {
+      const lines = vio.getContent(r.file).slice(0, r.node.start).split('\n');
+      add('route', r.feature, r.path, r.file, { line: lines.length, column: _.last(lines).length });
+      addRoutes(r.childRoutes);
+    });
+    addRoutes(getRouteTree().routes);
+  }
+  return symbols;
+}
+
+function findReferences(file, symbols) {
+  // Summary:
+  //  Find references of symbols in a module:
+  //   - component, action, constant: imports and usages of the imported names, including members of
+  //     namespace imports like `this.props.actions.fetchTopics` just like `getDeps`.
+  //   - constant: string literals of action types.
+  //   - initialState: `state.key` in the feature's redux modules and `xxx.feature.key` like `this.props.home.key`,
+  //     also property keys in reducers like `{ ...state, key: value }`.
+  //   - route: string literals of the url, e.g. `<Link to="/home/list">`.
+  const res = [];
+  const feature = utils.getFeatureName(file);
+  const inRedux = feature && _.startsWith(file, utils.mapFeatureFile(feature, 'redux/'));
+  const byType = _.groupBy(symbols, 'type');
+  const namespaces = {};
+
+  function addRef(symbol, node) {
+    res.push(Object.assign(_.pick(symbol, ['type', 'name', 'feature']), { kind: 'reference', file }, getLocation(node)));
+  }
+
+  function resolveImport(source, importedName) {
+    if (!refactor.isLocalModule(source)) return null;
+    const resolvedPath = refactor.resolveModulePath(file, source);
+    const fullPath = `${resolvedPath}.js`;
+    if (!vio.fileExists(fullPath)) return null;
+    if (isFeatureIndex(resolvedPath) || isActionEntry(fullPath)) {
+      if (!importedName) return getEntryData(fullPath);
+      return { file: getEntryData(fullPath).exported[importedName], name: importedName };
+    }
+    return importedName ? { file: fullPath, name: importedName } : null;
+  }
+
+  function getImportedSymbols(imported) {
+    // Components are matched by the module only
+    if (!imported || !imported.file) return [];
+    return symbols.filter(s => s.file === imported.file && (s.type === 'component' || s.name === imported.name));
+  }
+
+  traverse(vio.getAst(file), {
+    ImportDeclaration(path) {
+      path.get('specifiers').forEach((sp) => {
+        const source = path.node.source.value;
+        if (sp.isImportNamespaceSpecifier()) {
+          const entry = resolveImport(source);
+          if (entry) namespaces[sp.node.local.name] = entry;
+          return;
+        }
+        const matched = getImportedSymbols(resolveImport(source, sp.isImportDefaultSpecifier() ? 'default' : sp.node.imported.name));
+        if (!matched.length) return;
+        const binding = path.scope.getBinding(sp.node.local.name);
+        matched.forEach((symbol) => {
+          addRef(symbol, sp.node);
+          (binding ? binding.referencePaths : []).forEach(p => addRef(symbol, p.node));
+        });
+      });
+    },
+    ExportNamedDeclaration(path) {
+      // Entries like index.js and actions.js export modules directly
+      const source = _.get(path, 'node.source.value');
+      if (!source) return;
+      path.node.specifiers.forEach((sp) => {
+        getImportedSymbols(resolveImport(source, sp.local.name)).forEach(symbol => addRef(symbol, sp));
+      });
+    },
+    MemberExpression(path) {
+      const node = path.node;
+      const objName = _.get(node, 'object.property.name') || _.get(node, 'object.name');
+      const propName = _.get(node, 'property.name');
+      if (!objName || !propName || node.computed) return;
+      if (_.has(namespaces, objName)) {
+        getImportedSymbols({ file: namespaces[objName].exported[propName], name: propName })
+          .forEach(symbol => addRef(symbol, node.property));
+      }
+      (byType.initialState || []).forEach((s) => {
+        if (s.name !== propName) return;
+        if ((inRedux && s.feature === feature && _.get(node, 'object.name') === 'state')
+          || _.get(node, 'object.property.name') === _.camelCase(s.feature)) {
+          addRef(s, node.property);
+        }
+      });
+    },
+    ObjectProperty(path) {
+      const name = _.get(path, 'node.key.name');
+      if (!inRedux || path.node.computed || !path.parentPath.node.properties.some(p => p.type === 'SpreadProperty')) return;
+      (byType.initialState || []).forEach((s) => {
+        if (s.feature === feature && s.name === name && s.file !== file) addRef(s, path.node.key);
+      });
+    },
+    StringLiteral(path) {
+      const value = path.node.value;
+      (byType.constant || []).forEach((s) => {
+        if (s.name === value && s.file !== file) addRef(s, path.node);
+      });
+      if (/route(Config)?\.js$/.test(file)) return;
+      (byType.route || []).forEach((s) => {
+        if (s.name === value) addRef(s, path.node);
+      });
+    },
+  });
+  return res;
+}
+
+/**
+ * Search symbols of the project, get where they are defined and used. Supported types of symbols are:
+ *  - component: definitions are declarations of components, references are imports and usages like `<Hello />`.
+ *  - action: definitions are action creators, references are imports and usages including `this.props.actions.xxx`.
+ *  - constant: definitions are action types in `redux/constants.js`, references include string literals.
+ *  - initialState: definitions are keys of the feature's initial state, references are usages like `this.props.home.xxx`
+ *    or `state.xxx` in reducers.
+ *  - route: definitions are route configs with resolved urls as names, references are string literals of urls.
+ * @param {string|RegExp} query - The name of symbols, or a regular expression to match names.
+ * @param {Object} [args] - Options.
+ * @param {Array} [args.types] - Types of symbols to search, defaults to all types.
+ * @returns {Array} Results in form of `{ type, name, feature, kind, file, line, column }`, kind is 'definition'
+ *   or 'reference'. Line is 1-based and column is 0-based.
+ * @alias module:app.search
+ *
+ * @example
+ * const app = require('rekit-core').app;
+ * app.search('fetchTopics', { types: ['action'] });
+ * // => [
+ * //   { type: 'action', name: 'fetchTopics', feature: 'home', kind: 'definition', file: '/path/to/src/features/home/redux/fetchTopics.js', line: 10, column: 0 },
+ * //   { type: 'action', name: 'fetchTopics', feature: 'home', kind: 'reference', file: '/path/to/src/features/home/TopicPage.js', line: 20, column: 22 },
+ * // ]
+**/
+function search(query, args) {
+  args = args || {};
+  const types = args.types || SEARCH_TYPES;
+  const unknown = _.difference(types, SEARCH_TYPES);
+  if (unknown.length) {
+    utils.fatalError(`Unknown symbol type: ${unknown.join(', ')}, it should be one of ${SEARCH_TYPES.join(', ')}.`);
+  }
+  const match = _.isRegExp(query) ? name => query.test(name) : name => name === query;
+  const symbols = getSearchSymbols(types, match);
+  if (!symbols.length) return [];
+
+  const refs = _.flatten(findJsFiles(utils.mapSrcFile('')).map(file => findReferences(file, symbols)));
+  const kinds = { definition: 0, reference: 1 };
+  return _.sortBy(
+    _.uniqBy(symbols.concat(refs), r => [r.type, r.feature, r.name, r.file, r.line, r.column].join(':')),
+    [r => SEARCH_TYPES.indexOf(r.type), 'feature', 'name', r => kinds[r.kind], 'file', 'line', 'column']
+  );
+}
+
+function getStateWrites(file) {
+  // Summary:
+  //  Find state keys written by `reducer` functions of a module by action types. A key is written if it's
+  //  in an object with the spread of the state, like `return { ...state, fetchPending: true }` in a switch case.
+  const writes = {};
+  traverse(vio.getAst(file), {
+    Function(path) {
+      const name = _.get(path, 'node.id.name') || _.get(path, 'parentPath.node.id.name');
+      const stateParam = path.node.params[0];
+      const stateName = _.get(stateParam, 'name') || _.get(stateParam, 'left.name'); // state = initialState
+      if (name !== 'reducer' || !stateName) return;
+      path.traverse({
+        SwitchCase(casePath) {
+          const test = casePath.node.test;
+          const type = test && (test.type === 'StringLiteral' ? test.value : test.name);
+          if (!type) return;
+          casePath.traverse({
+            ObjectExpression(objPath) {
+              const props = objPath.node.properties;
+              if (!props.some(p => /^Spread/.test(p.type) && _.get(p, 'argument.name') === stateName)) return;
+              props.forEach((p) => {
+                const key = !/^Spread/.test(p.type) && !p.computed && (_.get(p, 'key.name') || _.get(p, 'key.value'));
+                if (key) writes[type] = _.union(writes[type] || [], [key]);
+              });
+            },
+          });
+        },
+      });
+    },
+  });
+  return writes;
+}
+
+function getStateReads(file, stateName) {
+  // Summary:
+  //  Find keys of a feature state read by a module via `mapStateToProps`: `{ list: state.home.list }` reads a key
+  //  directly while `{ home: state.home }` maps the whole feature state, then keys are read like `this.props.home.list`.
+  const keys = [];
+  const wholeStateProps = [];
+  const isMapStateToProps = path => _.get(path, 'node.id.name') === 'mapStateToProps'
+    || _.get(path, 'parentPath.node.id.name') === 'mapStateToProps'
+    || (path.parentPath.isCallExpression() && _.get(path, 'parentPath.node.callee.name') === 'connect'
+      && path.parentPath.node.arguments[0] === path.node);
+
+  traverse(vio.getAst(file), {
+    Function(path) {
+      const stateArg = _.get(path, 'node.params[0].name');
+      if (!stateArg || !isMapStateToProps(path)) return;
+      path.traverse({
+        MemberExpression(p) {
+          const node = p.node;
+          if (node.computed || _.get(node, 'object.name') !== stateArg || _.get(node, 'property.name') !== stateName) return;
+          if (p.parentPath.isMemberExpression() && p.parentPath.node.object === node) {
+            keys.push(_.get(p, 'parentPath.node.property.name'));
+          } else if (p.parentPath.isObjectProperty()) {
+            wholeStateProps.push(_.get(p, 'parentPath.node.key.name'));
+          }
+        },
+      });
+      path.skip();
+    },
+  });
+
+  if (wholeStateProps.length) {
+    traverse(vio.getAst(file), {
+      Function(path) {
+        if (isMapStateToProps(path)) path.skip();
+      },
+      MemberExpression(path) {
+        const obj = path.node.object;
+        const objName = obj.type === 'MemberExpression' ? _.get(obj, 'property.name') : obj.name;
+        if (!path.node.computed && _.includes(wholeStateProps, objName)) keys.push(_.get(path, 'node.property.name'));
+      },
+    });
+  }
+  return _.uniq(keys.filter(Boolean));
+}
+
+/**
+ * Get the Redux state shape of a feature. Keys are defined in `redux/initialState.js` and written by `reducer`
+ * functions of modules under `redux` folder, they are read by modules via `mapStateToProps` from the feature's
+ * branch of the store, which is the camel case of the feature name.
+ * @param {string} feature - The feature name.
+ * @returns {Object} `{ feature, keys, actions }`:
+ *   - keys: `{ name, initialValue, line, writtenBy, readBy, orphan }`. initialValue is the code of the value, it's
+ *     undefined if the key is written but not defined in the initial state. writtenBy are action types and readBy
+ *     are modules in form of `{ name, feature, file }`. A key is orphan if it's neither written nor read.
+ *   - actions: `{ type, file, writes }`, state keys written by each action type.
+ * @alias module:app.getStateShape
+ *
+ * @example
+ * const app = require('rekit-core').app;
+ * app.getStateShape('home').keys;
+ * // => [{ name: 'fetchListPending', initialValue: 'false', line: 3, writtenBy: ['HOME_FETCH_LIST_BEGIN', ...],
+ * //   readBy: [{ name: 'ListPage', feature: 'home', file: '/path/to/src/features/home/ListPage.js' }], orphan: false }]
+**/
+function getStateShape(feature) {
+  feature = _.kebabCase(feature);
+  const initialStateFile = utils.mapReduxFile(feature, 'initialState');
+  if (!vio.fileExists(initialStateFile)) {
+    utils.fatalError(`Can't find the initial state of the feature: ${feature}`);
+  }
+
+  const keys = [];
+  const content = vio.getContent(initialStateFile);
+  _.get(findDeclaration(initialStateFile, 'initialState'), 'init.properties', []).forEach((p) => {
+    const name = !p.computed && (_.get(p, 'key.name') || _.get(p, 'key.value'));
+    if (!name || !p.value) return;
+    keys.push({ name, initialValue: content.slice(p.value.start, p.value.end), line: p.loc.start.line, writtenBy: [], readBy: [] });
+  });
+  function getKey(name) {
+    let key = _.find(keys, { name });
+    if (!key) {
+      key = { name, initialValue: undefined, line: null, writtenBy: [], readBy: [] };
+      keys.push(key);
+    }
+    return key;
+  }
+
+  const actions = [];
+  findJsFiles(utils.mapFeatureFile(feature, 'redux')).sort().forEach((file) => {
+    if (/\/(initialState|constants|actions)\.js$/.test(file)) return;
+    _.forOwn(getStateWrites(file), (written, type) => {
+      actions.push({ type, file, writes: written });
+      written.forEach(name => getKey(name).writtenBy.push(type));
+    });
+  });
+
+  findJsFiles(utils.mapSrcFile('')).sort().forEach((file) => {
+    getStateReads(file, _.camelCase(feature)).forEach((name) => {
+      getKey(name).readBy.push({
+        name: mPath.basename(file, '.js'),
+        feature: utils.getFeatureName(file) || null,
+        file,
+      });
+    });
+  });
+
+  keys.forEach((key) => {
+    key.writtenBy = _.uniq(key.writtenBy);
+    key.orphan = !key.writtenBy.length && !key.readBy.length;
+  });
+  return { feature, keys, actions };
+}
+
+function countLinesOfCode(file) {
+  return vio.getLines(file).filter(line => line.trim()).length;
+}
+
+/**
+ * Get statistics of the project for health dashboards. Paths in the result are relative to the project root
+ * so that it could be saved as JSON and tracked over time.
+ * @param {Object} [args] - Options.
+ * @param {number} [args.top=10] - How many items in `largestFiles` and `mostDependencies`.
+ * @returns {Object} `{ features, totals, largestFiles, mostDependencies }`:
+ *   - features: `{ name, components, connectedComponents, actions, asyncActions, routes, misc, linesOfCode, tests, styles }`,
+ *     tests and styles are `{ present, missing }` where missing are expected files of components and actions.
+ *   - totals: sums of numbers of all features, tests and styles are `{ present, missing }` counts.
+ *   - largestFiles: js files under `src` with the most lines of code in form of `{ file, linesOfCode }`.
+ *   - mostDependencies: components with the most dependencies in form of `{ feature, name, file, dependencies }`.
+ * @alias module:app.getStats
+ *
+ * @example
+ * const app = require('rekit-core').app;
+ * JSON.stringify(app.getStats({ top: 5 }));
+**/
+function getStats(args) {
+  args = args || {};
+  const top = args.top || 10;
+  const graph = getGraph();
+  const byFeature = _.groupBy(graph.nodes.filter(n => n.feature), 'feature');
+  const rel = utils.getRelativePath;
+
+  const routeCounts = {};
+  const countRoutes = routes => routes.forEach((r) => {
+    if (r.component && r.feature) routeCounts[r.feature] = (routeCounts[r.feature] || 0) + 1;
+    countRoutes(r.childRoutes);
+  });
+  countRoutes(getRouteTree().routes);
+
+  const features = Object.keys(byFeature).sort().map((feature) => {
+    // Only modules directly under the feature folder are components, like getFeatureStructure
+    const components = byFeature[feature].filter(n => n.type === 'component' && mPath.dirname(n.file) === utils.mapFeatureFile(feature, ''));
+    const actions = byFeature[feature].filter(n => n.type === 'action');
+    const expectedTests = components.map(n => utils.mapComponentTestFile(feature, n.name))
+      .concat(actions.map(n => utils.mapReduxTestFile(feature, n.name)));
+    const expectedStyles = components.map(n => utils.mapComponent(feature, n.name) + '.' + utils.getCssExt());
+    const files = findFiles(utils.mapFeatureFile(feature, ''));
+    const known = _.keyBy(components.map(n => n.file).concat(actions.map(n => n.file), expectedStyles));
+
+    return {
+      name: feature,
+      components: components.length,
+      connectedComponents: components.filter(n => getRekitProps(n.file).component.connectToStore).length,
+      actions: actions.length,
+      asyncActions: actions.filter(n => getRekitProps(n.file).action.isAsync).length,
+      routes: routeCounts[feature] || 0,
+      misc: files.filter(f => !known[f]).length,
+      linesOfCode: _.sum(files.filter(f => /\.js$/.test(f)).map(countLinesOfCode)),
+      tests: {
+        present: expectedTests.filter(vio.fileExists).length,
+        missing: expectedTests.filter(vio.fileNotExists).map(rel),
+      },
+      styles: {
+        present: expectedStyles.filter(vio.fileExists).length,
+        missing: expectedStyles.filter(vio.fileNotExists).map(rel),
+      },
+    };
+  });
+
+  const totals = {};
+  ['components', 'connectedComponents', 'actions', 'asyncActions', 'routes', 'misc', 'linesOfCode'].forEach((key) => {
+    totals[key] = _.sumBy(features, key);
+  });
+  ['tests', 'styles'].forEach((key) => {
+    totals[key] = {
+      present: _.sumBy(features, f => f[key].present),
+      missing: _.sumBy(features, f => f[key].missing.length),
+    };
+  });
+
+  const largestFiles = _.orderBy(graph.nodes.map(n => ({ file: rel(n.file), linesOfCode: countLinesOfCode(n.file) })), ['linesOfCode', 'file'], ['desc', 'asc'])
+    .slice(0, top);
+  const mostDependencies = _.orderBy(graph.nodes.filter(n => n.type === 'component').map((n) => {
+    const deps = getDeps(n.file);
+    return {
+      feature: n.feature,
+      name: n.name,
+      file: rel(n.file),
+      dependencies: deps.actions.length + deps.components.length + deps.misc.length + deps.constants.length,
+    };
+  }).filter(item => item.dependencies > 0), ['dependencies', 'file'], ['desc', 'asc']).slice(0, top);
+
+  return { features, totals, largestFiles, mostDependencies };
+}
+
 /**
  * Get src files excepts features of a Rekit project.
 **/
@@ -502,11 +1528,11 @@ function getSrcFiles(dir) {
   const prjRoot = utils.getProjectRoot();
   if (!dir) dir = utils.joinPath(prjRoot, 'src');
 
-  return _.toArray(shell.ls(dir))
+  const files = backend.ls(dir)
     .filter(file => utils.joinPath(prjRoot, 'src/features') !== utils.joinPath(dir, file)) // exclude features folder
     .map((file) => {
       file = utils.joinPath(dir, file);
-      if (shell.test('-d', file)) {
+      if (backend.isDirectory(file)) {
         return {
           name: mPath.basename(file),
           type: 'misc',
@@ -534,12 +1560,24 @@ function getSrcFiles(dir) {
       else if (!a.children && b.children) return 1;
       return a.name.toLowerCase().localeCompare(b.name.toLowerCase());
     });
+  return files;
 }
 
 module.exports = {
   getRekitProps,
   getFeatures,
   getFeatureStructure,
+  getRouteTree,
   getDeps,
   getSrcFiles,
+  findJsFiles,
+  getGraph,
+  getDependents,
+  getDependencies,
+  findUnused,
+  search,
+  getStateShape,
+  getStats,
+  getState,
+  setState,
 };
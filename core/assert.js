@@ -2,8 +2,8 @@
 
 const path = require('path');
 const _ = require('lodash');
-const shell = require('shelljs');
 const utils = require('./utils');
+const backend = require('./backend');
 const vio = require('./vio');
 
 function notEmpty(str, name) {
@@ -14,14 +14,14 @@ function notEmpty(str, name) {
 
 function featureExist(feature) {
   const p = utils.joinPath(utils.getProjectRoot(), 'src/features', _.kebabCase(feature));
-  if (!shell.test('-e', p) && !vio.dirExists(p)) {
+  if (!backend.exists(p) && !vio.dirExists(p)) {
     utils.fatalError('Feature doesn\'t exist: ' + feature + ': ' + p);
   }
 }
 
 function featureNotExist(feature) {
   const p = utils.joinPath(utils.getProjectRoot(), 'src/features', _.kebabCase(feature));
-  if (shell.test('-e', p) || vio.dirExists(p)) {
+  if (backend.exists(p) || vio.dirExists(p)) {
     utils.fatalError('Feature doesn\'t exist: ' + feature + ': ' + p);
   }
 }
@@ -0,0 +1,39 @@
+'use strict';
+
+// The default backend which reads and writes the real disk.
+
+const fs = require('fs');
+const shell = require('shelljs');
+
+function execShell(cmd) {
+  // shelljs doesn't throw on failure, so convert its error to an exception.
+  const args = Array.prototype.slice.call(arguments, 1);
+  const res = shell[cmd].apply(shell, args);
+  const err = shell.error();
+  if (err) throw new Error(err);
+  return res;
+}
+
+function createDiskBackend() {
+  return {
+    name: 'disk',
+    exists: p => fs.existsSync(p),
+    isDirectory: p => fs.existsSync(p) && fs.statSync(p).isDirectory(),
+    stat(p) {
+      const stat = fs.statSync(p);
+      return {
+        isDirectory: stat.isDirectory(),
+        mtime: stat.mtime.getTime(),
+      };
+    },
+    readFile: p => fs.readFileSync(p, 'utf8'),
+    readBuffer: p => fs.readFileSync(p),
+    writeFile: (p, content) => fs.writeFileSync(p, content),
+    readdir: p => fs.readdirSync(p),
+    mkdirp: p => execShell('mkdir', '-p', p),
+    move: (from, to) => execShell('mv', from, to),
+    remove: p => execShell('rm', '-rf', p),
+  };
+}
+
+module.exports = createDiskBackend;
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * The file system backend used by vio and other modules to access the project files.
+ * By default it's the real disk, it could be replaced by an in-memory backend so that
+ * all commands run against a virtual project.
+ *
+ * A backend is an object with below sync methods, all paths are absolute:
+ *  - exists(path), isDirectory(path), stat(path) => { isDirectory, mtime }
+ *  - readFile(path) => string, readBuffer(path) => Buffer, writeFile(path, content)
+ *  - readdir(path) => names, mkdirp(path), move(from, to), remove(path)
+ *
+ * Failed operations should throw errors.
+ * @module
+**/
+
+const createDiskBackend = require('./disk');
+const createMemoryBackend = require('./memory');
+
+let current = createDiskBackend();
+
+/**
+ * Use a backend for all file system operations.
+ * @param {Object} backend - The backend created by `createDiskBackend`, `createMemoryBackend` or a custom one.
+ * @alias module:backend.setBackend
+ *
+ * @example
+ * const rekitCore = require('rekit-core');
+ * const backend = rekitCore.backend;
+ * backend.setBackend(backend.createMemoryBackend(require('./prj-snapshot.json'), '/virtual-prj'));
+ * rekitCore.utils.setProjectRoot('/virtual-prj');
+ * rekitCore.addFeature('home');
+ * rekitCore.vio.flush(); // the feature is created in memory
+**/
+function setBackend(backend) {
+  current = backend;
+}
+
+/**
+ * Get the current backend.
+ * @alias module:backend.getBackend
+**/
+function getBackend() {
+  return current;
+}
+
+// Used by context to switch backends between projects, a new context uses the disk by default.
+function getState() {
+  return { current };
+}
+
+function setState(state) {
+  current = state ? state.current : createDiskBackend();
+}
+
+/**
+ * List non-hidden names in a folder like `shell.ls`, returns an empty array if the folder doesn't exist.
+ * @param {string} dir - The folder path.
+ * @alias module:backend.ls
+**/
+function ls(dir) {
+  if (!current.isDirectory(dir)) return [];
+  return current.readdir(dir).filter(name => !/^\./.test(name));
+}
+
+module.exports = {
+  setBackend,
+  getBackend,
+  createDiskBackend,
+  createMemoryBackend,
+  ls,
+  getState,
+  setState,
+  exists: p => current.exists(p),
+  isDirectory: p => current.isDirectory(p),
+  stat: p => current.stat(p),
+  readFile: p => current.readFile(p),
+  readBuffer: p => current.readBuffer(p),
+  writeFile: (p, content) => current.writeFile(p, content),
+  readdir: p => current.readdir(p),
+  mkdirp: p => current.mkdirp(p),
+  move: (from, to) => current.move(from, to),
+  remove: p => current.remove(p),
+};
@@ -0,0 +1,152 @@
+'use strict';
+
+// A pure in-memory backend. It's seeded from a JSON snapshot so that a virtual project could be managed
+// without a real project on the disk, for example, in tests or sandboxes.
+
+const path = require('path');
+const _ = require('lodash');
+
+function normalize(p) {
+  return path.posix.normalize(p.replace(/\\/g, '/')).replace(/(.)\/$/, '$1');
+}
+
+/**
+ * Create an in-memory backend.
+ * @param {Object} [snapshot] - Files of the virtual file system, keys are file paths, values are file contents.
+ *   Relative paths are resolved to the root. A key ending with '/' is an empty folder.
+ * @param {string} [root=/] - The folder which relative paths in the snapshot are relative to.
+ *
+ * @example
+ * const backend = require('rekit-core').backend;
+ * backend.setBackend(backend.createMemoryBackend({
+ *   'package.json': '{ "rekit": {} }',
+ *   'src/features/': '',
+ * }, '/virtual-prj'));
+**/
+function createMemoryBackend(snapshot, root) {
+  const files = {}; // path => content
+  const dirs = { '/': true };
+  const mtimes = {};
+  let clock = Date.now();
+
+  function fail(code, p) {
+    const err = new Error(`${code}: ${p}`);
+    err.code = code;
+    throw err;
+  }
+
+  function addDir(p) {
+    while (!dirs[p]) {
+      if (files[p]) fail('ENOTDIR', p);
+      dirs[p] = true;
+      mtimes[p] = clock;
+      p = path.posix.dirname(p);
+    }
+  }
+
+  function write(p, content) {
+    p = normalize(p);
+    const parent = path.posix.dirname(p);
+    if (!dirs[parent]) fail(files[parent] ? 'ENOTDIR' : 'ENOENT', p);
+    if (dirs[p]) fail('EISDIR', p);
+    files[p] = Buffer.isBuffer(content) ? Buffer.from(content) : String(content);
+    clock = Math.max(clock + 1, Date.now());
+    mtimes[p] = clock;
+  }
+
+  function entriesUnder(p) {
+    // The path itself and all files and folders under it
+    return Object.keys(files).concat(Object.keys(dirs))
+      .filter(f => f === p || _.startsWith(f, p === '/' ? p : p + '/'));
+  }
+
+  function readBuffer(p) {
+    p = normalize(p);
+    if (dirs[p]) fail('EISDIR', p);
+    if (!_.has(files, p)) fail('ENOENT', p);
+    return Buffer.isBuffer(files[p]) ? files[p] : Buffer.from(files[p], 'utf8');
+  }
+
+  const backend = {
+    name: 'memory',
+    exists: p => _.has(files, normalize(p)) || !!dirs[normalize(p)],
+    isDirectory: p => !!dirs[normalize(p)],
+    stat(p) {
+      p = normalize(p);
+      if (!backend.exists(p)) fail('ENOENT', p);
+      return {
+        isDirectory: !!dirs[p],
+        mtime: mtimes[p],
+      };
+    },
+    readFile: p => readBuffer(p).toString('utf8'),
+    readBuffer,
+    writeFile: write,
+    readdir(p) {
+      p = normalize(p);
+      if (!dirs[p]) fail(files[p] ? 'ENOTDIR' : 'ENOENT', p);
+      return _.uniq(entriesUnder(p)
+        .filter(f => f !== p && path.posix.dirname(f) === p)
+        .map(f => path.posix.basename(f)))
+        .sort();
+    },
+    mkdirp: p => addDir(normalize(p)),
+    move(from, to) {
+      from = normalize(from);
+      to = normalize(to);
+      if (!backend.exists(from)) fail('ENOENT', from);
+      if (backend.exists(to)) fail('EEXIST', to);
+      if (!dirs[path.posix.dirname(to)]) fail('ENOENT', to);
+      entriesUnder(from).forEach((f) => {
+        const newPath = to + f.slice(from.length);
+        if (dirs[f]) {
+          delete dirs[f];
+          dirs[newPath] = true;
+        } else {
+          files[newPath] = files[f];
+          delete files[f];
+        }
+        mtimes[newPath] = mtimes[f];
+        delete mtimes[f];
+      });
+    },
+    remove(p) {
+      p = normalize(p);
+      if (p === '/') return;
+      entriesUnder(p).forEach((f) => {
+        delete files[f];
+        delete dirs[f];
+        delete mtimes[f];
+      });
+    },
+
+    /**
+     * Export all files as a snapshot, keys are absolute paths. Empty folders are keys ending with '/'.
+     */
+    toJSON() {
+      const res = {};
+      Object.keys(files).sort().forEach((f) => {
+        res[f] = files[f].toString();
+      });
+      Object.keys(dirs).sort().forEach((d) => {
+        if (backend.readdir(d).length === 0) res[d === '/' ? d : d + '/'] = '';
+      });
+      return res;
+    },
+  };
+
+  root = normalize(root || '/');
+  _.forOwn(snapshot || {}, (content, key) => {
+    const p = normalize(path.posix.isAbsolute(key) ? key : path.posix.join(root, key));
+    if (/\/$/.test(key)) {
+      addDir(p);
+    } else {
+      addDir(path.posix.dirname(p));
+      write(p, content);
+    }
+  });
+
+  return backend;
+}
+
+module.exports = createMemoryBackend;
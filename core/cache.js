@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * Persistent analysis cache. Parsing every module with babylon is slow for large projects, so results of
+ * analysis like Rekit props, dependencies and entry data are saved under `.rekit/cache` of the project.
+ * A cached value is keyed by the module path and the md5 hash of its content. If it also depends on other
+ * modules, their hashes are saved as inputs and the value is invalidated once any of them changes.
+ * The whole cache is discarded if the version of rekit-core or the project root changes.
+ * Queries don't write the disk, the cache is saved by `vio.flush` or by calling `cache.save` explicitly.
+ *
+ * It could be disabled by `rekit.cache: false` in package.json or `cache.setEnabled(false)`.
+ * @module
+**/
+
+const crypto = require('crypto');
+const _ = require('lodash');
+const utils = require('./utils');
+const backend = require('./backend');
+const vio = require('./vio');
+const version = require('../package.json').version;
+
+let store = null;
+let dirty = false;
+let enabled = null;
+
+// Used by context to switch caches between projects.
+function getState() {
+  return { store, dirty, enabled };
+}
+
+function setState(state) {
+  store = state ? state.store : null;
+  dirty = state ? state.dirty : false;
+  enabled = state ? state.enabled : null;
+}
+
+/**
+ * Get the folder where the cache is saved.
+ * @alias module:cache.getCacheDir
+**/
+function getCacheDir() {
+  return utils.joinPath(utils.getProjectRoot(), '.rekit/cache');
+}
+
+function getCacheFile() {
+  return utils.joinPath(getCacheDir(), 'analysis.json');
+}
+
+/**
+ * Enable or disable the persistent cache. By default it depends on `rekit.cache` of package.json.
+ * @param {boolean|null} value - True to enable, false to disable, null to use the project config.
+ * @alias module:cache.setEnabled
+**/
+function setEnabled(value) {
+  enabled = value;
+}
+
+/**
+ * Check if the persistent cache is enabled.
+ * @alias module:cache.isEnabled
+**/
+function isEnabled() {
+  if (enabled !== null) return enabled;
+  return _.get(utils.getPkgJson(), 'rekit.cache') !== false;
+}
+
+function getHash(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+function getFileHash(file) {
+  return vio.fileExists(file) ? getHash(vio.getContent(file)) : null;
+}
+
+/**
+ * Get hashes of modules a value depends on, they are checked by `cache.isChanged` before the value is reused.
+ * It's also used by in-memory caches.
+ * @param {Array} files - Full paths of modules, missing modules are allowed.
+ * @returns {Object} Hashes keyed by relative paths, null for missing modules.
+ * @alias module:cache.getInputs
+**/
+function getInputs(files) {
+  return _.fromPairs(_.uniq(files).map(file => [utils.getRelativePath(file), getFileHash(file)]));
+}
+
+/**
+ * Check if any module of inputs has changed, been created or deleted.
+ * @param {Object} inputs - Inputs got by `cache.getInputs`.
+ * @alias module:cache.isChanged
+**/
+function isChanged(inputs) {
+  return _.some(inputs, (hash, input) => getFileHash(utils.getFullPath(input)) !== hash);
+}
+
+function load() {
+  // Summary:
+  //  Load the cache file lazily, an outdated or broken one is discarded.
+  if (store) return store;
+  const prjRoot = utils.getProjectRoot();
+  const cacheFile = getCacheFile();
+  if (backend.exists(cacheFile)) {
+    try {
+      store = JSON.parse(backend.readFile(cacheFile));
+    } catch (e) {
+      utils.warn(`Warning: failed to parse the cache file, it's discarded: ${e.message}`);
+    }
+  }
+  if (!store || store.version !== version || store.root !== prjRoot) {
+    store = { version, root: prjRoot, files: {} };
+  }
+  return store;
+}
+
+/**
+ * Get a cached value of a module.
+ * @param {string} type - The type of the value, e.g. 'props', 'deps'.
+ * @param {string} file - The full path of the module.
+ * @param {string} content - The current content of the module.
+ * @returns {*} The cached value, or undefined if it doesn't exist or is outdated.
+ * @alias module:cache.get
+**/
+function get(type, file, content) {
+  if (!isEnabled()) return undefined;
+  const entry = load().files[utils.getRelativePath(file)];
+  if (!entry || !entry[type] || entry.hash !== getHash(content)) return undefined;
+  const item = entry[type];
+  if (isChanged(item.inputs)) return undefined;
+  return item.value;
+}
+
+/**
+ * Set a cached value of a module. It's only saved to the disk by `cache.save`.
+ * @param {string} type - The type of the value, e.g. 'props', 'deps'.
+ * @param {string} file - The full path of the module.
+ * @param {string} content - The current content of the module.
+ * @param {*} value - The value to cache, it should be serializable to JSON.
+ * @param {Array} [inputs] - Full paths of other modules the value depends on, missing modules are allowed.
+ * @alias module:cache.set
+**/
+function set(type, file, content, value, inputs) {
+  if (!isEnabled()) return;
+  const files = load().files;
+  const key = utils.getRelativePath(file);
+  const hash = getHash(content);
+  if (!files[key] || files[key].hash !== hash) files[key] = { hash };
+  files[key][type] = { value };
+  if (inputs && inputs.length) {
+    files[key][type].inputs = getInputs(inputs);
+  }
+  dirty = true;
+}
+
+/**
+ * Save the cache to `.rekit/cache` if it has changed. Entries of modules which don't exist anymore are removed.
+ * It's called by `vio.flush`, tools only running queries like `app.getGraph` could call it to keep results.
+ * @alias module:cache.save
+**/
+function save() {
+  if (!dirty || !isEnabled()) return;
+  const files = load().files;
+  Object.keys(files).forEach((key) => {
+    if (!vio.fileExists(utils.getFullPath(key))) delete files[key];
+  });
+  backend.mkdirp(getCacheDir());
+  backend.writeFile(getCacheFile(), JSON.stringify(store));
+  dirty = false;
+}
+
+/**
+ * Clear the cache both in memory and on the disk.
+ * @alias module:cache.clear
+**/
+function clear() {
+  store = null;
+  dirty = false;
+  if (backend.exists(getCacheDir())) backend.remove(getCacheDir());
+}
+
+module.exports = {
+  getCacheDir,
+  setEnabled,
+  isEnabled,
+  getInputs,
+  isChanged,
+  get,
+  set,
+  save,
+  clear,
+  getState,
+  setState,
+};
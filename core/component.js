@@ -6,6 +6,7 @@
 **/
 
 const _ = require('lodash');
+const traverse = require('babel-traverse').default;
 const utils = require('./utils');
 const vio = require('./vio');
 const refactor = require('./refactor');
@@ -92,8 +93,106 @@ function move(source, target) {
   }
 }
 
+/**
+ * Convert a component to another form. Only converting a class component to a function component is supported,
+ * see `refactor.classToFunction` for what could be converted.
+ * @param {string} feature - The feature name.
+ * @param {string} name - The component name.
+ * @param {object} args - Other arguments. `args.to` is the target form, defaults to 'function'.
+ * @alias module:component.convert
+**/
+function convert(feature, component, args) {
+  assert.notEmpty(feature, 'feature');
+  assert.notEmpty(component, 'component name');
+  assert.featureExist(feature);
+
+  feature = _.kebabCase(feature);
+  component = _.pascalCase(component);
+  args = args || {};
+
+  const to = args.to || 'function';
+  if (to !== 'function') {
+    utils.fatalError(`Can't convert a component to '${to}', only 'function' is supported.`);
+  }
+  const filePath = utils.mapComponent(feature, component) + '.js';
+  if (!vio.fileExists(filePath)) {
+    utils.fatalError(`Component doesn't exist: ${feature}/${component}`);
+  }
+  if (!refactor.classToFunction(filePath).length) {
+    utils.fatalError(`Component ${feature}/${component} is not converted to a function component, see warnings for the reason.`);
+  }
+}
+
+/**
+ * Move a JSX element analyzed by `refactor.analyzeJsxRange` to a component created by `add`.
+ * The element becomes the content of the component's render, imports it uses are added to the component.
+ * In the original module, the element is replaced by the component with props, and the component is imported
+ * from the feature's index.js. Imports only used by the element are removed.
+ * @param {string} file - The module where the JSX element is.
+ * @param {object} jsx - The analysis result of `refactor.analyzeJsxRange`.
+ * @param {ElementArg} target - The component to render the element.
+ * @alias module:component.extract
+**/
+function extract(file, jsx, target) {
+  const feature = _.kebabCase(target.feature);
+  const component = _.pascalCase(target.name);
+  const targetPath = utils.mapComponent(feature, component) + '.js';
+
+  // Render the element in the new component
+  refactor.updateFile(targetPath, (ast) => {
+    let returnNode = null;
+    traverse(ast, {
+      ClassMethod(path) {
+        if (_.get(path, 'node.key.name') !== 'render') return;
+        path.traverse({
+          ReturnStatement(p) {
+            returnNode = returnNode || p.node;
+          },
+        });
+      },
+    });
+    if (!returnNode || !returnNode.argument) {
+      utils.fatalError(`Can't find the render method of the component: ${targetPath}`);
+    }
+    const indent = _.repeat(' ', returnNode.argument.loc.start.column);
+    let changes = [{
+      start: returnNode.argument.start,
+      end: returnNode.argument.end,
+      replacement: jsx.code.split('\n').join(`\n${indent}`),
+    }];
+    if (jsx.props.length) {
+      changes.push({
+        start: returnNode.start,
+        end: returnNode.start,
+        replacement: `const { ${_.map(jsx.props, 'name').join(', ')} } = this.props;\n\n${_.repeat(' ', returnNode.loc.start.column)}`,
+      });
+    }
+    _.forEach(_.groupBy(jsx.imports, 'source'), (items, source) => {
+      const moduleSource = items[0].file ? refactor.getModuleSource(targetPath, items[0].file, !/^\./.test(source)) : source;
+      const defaultImport = _.get(_.find(items, { imported: 'default' }), 'local');
+      const namespaceImport = _.get(_.find(items, { imported: '*' }), 'local');
+      const names = _.map(items.filter(item => item.imported !== 'default' && item.imported !== '*'), 'local');
+      changes = changes.concat(refactor.addImportFrom(ast, moduleSource, defaultImport, names, namespaceImport));
+    });
+    return changes;
+  });
+
+  // Replace the element with the component in the original module
+  const attrs = (jsx.key ? [`key=${jsx.key}`] : []).concat(jsx.props.map(p => `${p.name}={${p.value}}`));
+  const unused = _.map(_.filter(jsx.imports, 'unused'), 'local');
+  refactor.updateFile(file, ast => [{
+    start: jsx.start,
+    end: jsx.end,
+    replacement: `<${component}${attrs.map(attr => ` ${attr}`).join('')} />`,
+  }].concat(unused.length ? refactor.removeImportSpecifier(ast, unused) : []));
+  const indexSource = refactor.getModuleSource(file, utils.mapFeatureFile(feature, 'index.js'));
+  refactor.updateFile(file, ast => refactor.addImportFrom(ast, indexSource, null, component));
+}
+
 module.exports = {
   add,
   remove,
   move,
+  convert,
+  extract,
 };
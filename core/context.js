@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * Isolated project contexts. By default rekit-core manages one project per process: the project root, vio state,
+ * caches and plugins are kept by modules. A context keeps its own copy of them so that one process could manage
+ * many projects at the same time.
+ *
+ * All APIs of rekit-core are sync, so a context just switches the state of modules before an API is called
+ * and switches it back after the call.
+ * @module
+**/
+
+const _ = require('lodash');
+const utils = require('./utils');
+const backend = require('./backend');
+const vio = require('./vio');
+const app = require('./app');
+const plugin = require('./plugin');
+const events = require('./events');
+const git = require('./git');
+const coupling = require('./coupling');
+const cache = require('./cache');
+
+// Modules which keep project state
+const statefulModules = [utils, backend, vio, app, plugin, events, git, coupling, cache];
+
+let active = null;
+
+function captureState() {
+  return statefulModules.map(m => m.getState());
+}
+
+function restoreState(states) {
+  statefulModules.forEach((m, i) => m.setState(states ? states[i] : null));
+}
+
+function wrapModule(mod, run) {
+  return _.mapValues(mod, value => (_.isFunction(value) ? function runInContext() {
+    const args = arguments;
+    return run(() => value.apply(mod, args));
+  } : value));
+}
+
+/**
+ * Create an isolated context for a project. It has all APIs of rekit-core with its own project root,
+ * vio state, caches, plugins and event listeners.
+ * @param {Object} options - Options of the context.
+ * @param {string} options.projectRoot - The root of the project.
+ * @param {Object} [options.backend] - The file system backend of the project, defaults to the disk.
+ * @returns {Object} The context. Besides APIs of rekit-core, `ctx.run(func)` runs a function in the context
+ *   so that modules required directly, like plugins, also work on the project.
+ * @alias module:context.createContext
+ *
+ * @example
+ * const rekitCore = require('rekit-core');
+ * const ctx1 = rekitCore.createContext({ projectRoot: '/path/to/prj1' });
+ * const ctx2 = rekitCore.createContext({ projectRoot: '/path/to/prj2' });
+ * ctx1.addFeature('home');
+ * ctx2.addComponent('home', 'hello');
+ * ctx1.vio.flush(); // only the feature 'home' is created in prj1
+**/
+function createContext(options) {
+  if (!options || !options.projectRoot) {
+    utils.fatalError('projectRoot is required to create a context.');
+  }
+
+  const rekitCore = require('./index');
+  const ctx = {};
+  let states = null;
+
+  // Summary:
+  //  Run a function with the context as the current one. Calls nested in the same context don't switch state.
+  function run(func) {
+    if (active === ctx) return func();
+    const outerStates = captureState();
+    const outerActive = active;
+    restoreState(states);
+    active = ctx;
+    try {
+      return func();
+    } finally {
+      states = captureState();
+      restoreState(outerStates);
+      active = outerActive;
+    }
+  }
+
+  Object.assign(ctx, _.mapValues(_.omit(rekitCore, ['createContext']), (value) => {
+    if (_.isFunction(value)) return wrapModule({ value }, run).value;
+    if (_.isPlainObject(value)) return wrapModule(value, run);
+    return value;
+  }), { run });
+
+  run(() => {
+    if (options.backend) backend.setBackend(options.backend);
+    utils.setProjectRoot(options.projectRoot);
+  });
+
+  return ctx;
+}
+
+module.exports = {
+  createContext,
+};
@@ -0,0 +1,265 @@
+'use strict';
+
+/**
+ * Analyze coupling of modules and features: circular dependencies, the feature coupling matrix and
+ * dependency rules. Rules are defined in the `rekit.dependencyRules` section of package.json:
+ *
+ *  - noModuleCycles: modules shouldn't depend on each other circularly.
+ *  - noFeatureCycles: features shouldn't depend on each other circularly.
+ *  - noDeepImports: modules of other features should be imported from the feature's `index.js`.
+ *  - forbidden: forbidden feature dependencies like `[{ "from": "home", "to": "admin" }]`, '*' matches any feature.
+ *
+ * The command `rekit check-deps` fails if any rule is violated so that it could be used in CI.
+ * @module
+**/
+
+const _ = require('lodash');
+const traverse = require('babel-traverse').default;
+const vio = require('./vio');
+const utils = require('./utils');
+const app = require('./app');
+const refactor = require('./refactor');
+
+let importsCache = {};
+
+// Used by context to switch caches between projects.
+function getState() {
+  return { importsCache };
+}
+
+function setState(state) {
+  importsCache = state ? state.importsCache : {};
+}
+
+function getImports(file) {
+  // Summary:
+  //  Get local modules imported by a file, including export from and dynamic import. It's cached by the content.
+  const content = vio.getContent(file);
+  if (importsCache[file] && importsCache[file].content === content) {
+    return importsCache[file].imports;
+  }
+  const imports = [];
+  function addImport(source, dynamic) {
+    if (!source || !refactor.isLocalModule(source)) return;
+    const resolved = refactor.resolveModulePath(file, source);
+    imports.push({
+      source,
+      file: resolved + '.js',
+      feature: utils.getFeatureName(resolved),
+      entry: /src\/features\/[^/]+\/index$/.test(resolved) ? 'index' : 'deep',
+      dynamic,
+    });
+  }
+  traverse(vio.getAst(file), {
+    ImportDeclaration(path) {
+      addImport(path.node.source.value, false);
+    },
+    ExportNamedDeclaration(path) {
+      addImport(_.get(path, 'node.source.value'), false);
+    },
+    ExportAllDeclaration(path) {
+      addImport(_.get(path, 'node.source.value'), false);
+    },
+    CallExpression(path) {
+      if (_.get(path, 'node.callee.type') !== 'Import') return;
+      addImport(_.get(path, 'node.arguments[0].value'), true);
+    },
+  });
+  importsCache[file] = { content, imports };
+  return imports;
+}
+
+/**
+ * Get imports crossing feature boundaries. Modules outside features like `src/common` are not counted.
+ * @returns {Array} Imports in form of `{ file, target, from, to, entry, dynamic }`: the file imports the target,
+ *   from and to are features, entry is 'index' if it's imported from the feature's `index.js`, otherwise 'deep'.
+ * @alias module:coupling.getCrossFeatureImports
+**/
+function getCrossFeatureImports() {
+  const res = [];
+  app.getGraph().nodes.forEach((node) => {
+    const feature = utils.getFeatureName(node.file);
+    if (!feature) return;
+    getImports(node.file).forEach((imp) => {
+      if (!imp.feature || imp.feature === feature) return;
+      res.push({
+        file: node.file,
+        target: imp.file,
+        from: feature,
+        to: imp.feature,
+        entry: imp.entry,
+        dynamic: imp.dynamic,
+      });
+    });
+  });
+  return res;
+}
+
+/**
+ * Get the feature coupling matrix: how many imports cross feature boundaries and through which entry points.
+ * @returns {Object} `{ features, matrix }`, matrix[from][to] is `{ total, index, deep }`, only non-empty cells exist.
+ * @alias module:coupling.getCouplingMatrix
+ *
+ * @example
+ * const coupling = require('rekit-core').coupling;
+ * coupling.getCouplingMatrix();
+ * // => { features: ['common', 'home'], matrix: { home: { common: { total: 3, index: 2, deep: 1 } } } }
+**/
+function getCouplingMatrix() {
+  const matrix = {};
+  getCrossFeatureImports().forEach((imp) => {
+    const cell = _.get(matrix, [imp.from, imp.to]) || { total: 0, index: 0, deep: 0 };
+    cell.total += 1;
+    cell[imp.entry] += 1;
+    _.set(matrix, [imp.from, imp.to], cell);
+  });
+  const features = _.uniq(app.getGraph().nodes.map(n => n.feature).filter(Boolean)).sort();
+  return { features, matrix };
+}
+
+function detectCycles(ids, getNext) {
+  // Summary:
+  //  Find strongly connected components by Tarjan's algorithm, then find one cycle in each of them.
+  let index = 0;
+  const indexes = {};
+  const lowlinks = {};
+  const onStack = {};
+  const stack = [];
+  const components = [];
+
+  function connect(id) {
+    indexes[id] = index;
+    lowlinks[id] = index;
+    index += 1;
+    stack.push(id);
+    onStack[id] = true;
+    getNext(id).forEach((next) => {
+      if (!_.has(indexes, next)) {
+        connect(next);
+        lowlinks[id] = Math.min(lowlinks[id], lowlinks[next]);
+      } else if (onStack[next]) {
+        lowlinks[id] = Math.min(lowlinks[id], indexes[next]);
+      }
+    });
+    if (lowlinks[id] === indexes[id]) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        delete onStack[member];
+        component.push(member);
+      } while (member !== id);
+      components.push(component);
+    }
+  }
+  ids.forEach((id) => {
+    if (!_.has(indexes, id)) connect(id);
+  });
+
+  return components
+    .filter(c => c.length > 1 || _.includes(getNext(c[0]), c[0]))
+    .map((component) => {
+      // Find the shortest path back to the start by BFS inside the component
+      const members = _.keyBy(component);
+      const start = component.slice().sort()[0];
+      const prev = {};
+      let queue = [start];
+      while (queue.length && !_.has(prev, start)) {
+        const next = [];
+        queue.forEach((id) => {
+          getNext(id).forEach((n) => {
+            if (!members[n] || _.has(prev, n)) return;
+            prev[n] = id;
+            next.push(n);
+          });
+        });
+        queue = next;
+      }
+      const cycle = [];
+      let id = prev[start];
+      while (id !== start) {
+        cycle.unshift(id);
+        id = prev[id];
+      }
+      cycle.unshift(start);
+      return cycle;
+    })
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+/**
+ * Find circular dependencies.
+ * @param {Object} [args] - Options.
+ * @param {string} [args.level=module] - 'module' to find cycles of modules by `app.getGraph`,
+ *   'feature' to find cycles of features by cross feature imports.
+ * @returns {Array} Cycles, each one is an array of file paths or feature names, the last one depends on the first one.
+ * @alias module:coupling.findCycles
+ *
+ * @example
+ * const coupling = require('rekit-core').coupling;
+ * coupling.findCycles({ level: 'feature' }); // => [['feature-a', 'feature-b']]
+**/
+function findCycles(args) {
+  args = args || {};
+  if (args.level === 'feature') {
+    const matrix = getCouplingMatrix().matrix;
+    return detectCycles(Object.keys(matrix).sort(), f => Object.keys(matrix[f] || {}));
+  }
+  const graph = app.getGraph();
+  const byFrom = _.groupBy(graph.edges, 'from');
+  return detectCycles(graph.nodes.map(n => n.file), file => _.uniq((byFrom[file] || []).map(e => e.to)));
+}
+
+function matchFeature(pattern, feature) {
+  return pattern === '*' || _.kebabCase(pattern) === feature;
+}
+
+/**
+ * Check dependency rules.
+ * @param {Object} [rules] - The rules, defaults to `rekit.dependencyRules` of package.json. See the module description.
+ * @returns {Object} `{ passed, violations }`, violations are `{ rule, message, ... }` where rule is
+ *   'noModuleCycles', 'noFeatureCycles', 'noDeepImports' or 'forbidden'.
+ * @alias module:coupling.checkRules
+**/
+function checkRules(rules) {
+  rules = rules || _.get(utils.getPkgJson(), 'rekit.dependencyRules') || {};
+  const violations = [];
+  if (rules.noModuleCycles) {
+    findCycles().forEach((cycle) => {
+      const files = cycle.map(utils.getRelativePath);
+      violations.push({ rule: 'noModuleCycles', cycle: files, message: `Circular dependency: ${files.concat(files[0]).join(' -> ')}` });
+    });
+  }
+  if (rules.noFeatureCycles) {
+    findCycles({ level: 'feature' }).forEach((cycle) => {
+      violations.push({ rule: 'noFeatureCycles', cycle, message: `Circular feature dependency: ${cycle.concat(cycle[0]).join(' -> ')}` });
+    });
+  }
+  getCrossFeatureImports().forEach((imp) => {
+    const file = utils.getRelativePath(imp.file);
+    const target = utils.getRelativePath(imp.target);
+    if (rules.noDeepImports && imp.entry === 'deep') {
+      violations.push({ rule: 'noDeepImports', file, target, message: `Deep import of feature ${imp.to}: ${file} imports ${target}` });
+    }
+    (rules.forbidden || []).forEach((rule) => {
+      if (matchFeature(rule.from, imp.from) && matchFeature(rule.to, imp.to)) {
+        violations.push({
+          rule: 'forbidden',
+          file,
+          target,
+          message: `Forbidden dependency from feature ${imp.from} to ${imp.to}: ${file} imports ${target}`,
+        });
+      }
+    });
+  });
+  return { passed: !violations.length, violations };
+}
+
+module.exports = {
+  getCrossFeatureImports,
+  getCouplingMatrix,
+  findCycles,
+  checkRules,
+  getState,
+  setState,
+};
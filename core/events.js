@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Events of vio and commands so that tools like Rekit Studio could observe what happens. Events:
+ *  - `file:save` `{ file }`: a file is saved to vio.
+ *  - `file:delete` `{ file }`: a file is deleted from vio.
+ *  - `file:move` `{ from, to }`: a file is moved in vio.
+ *  - `dir:move` `{ from, to }`: a folder is moved in vio.
+ *  - `flush:start` `{ args }`, `flush:end` `{ args, result, error }`: vio.flush writes changes to the disk.
+ *  - `command:start` `{ command, type, args }`, `command:end` `{ command, type, args, error }`:
+ *    a core command or a plugin command like `addComponent` is executed, args are arguments of the command.
+ *
+ * File paths are absolute. Each context created by `createContext` has its own listeners.
+ * @module
+**/
+
+const EventEmitter = require('events');
+
+let emitter = new EventEmitter();
+
+/**
+ * Listen to an event.
+ * @param {string} event - The event name, like 'file:save'.
+ * @param {function} listener - The callback receives the event data object.
+ * @alias module:events.on
+ *
+ * @example
+ * const rekitCore = require('rekit-core');
+ * rekitCore.events.on('command:end', (evt) => {
+ *   console.log(evt.command, evt.type, evt.args); // => add component ['home', 'hello']
+ * });
+ * rekitCore.addComponent('home', 'hello');
+**/
+function on(event, listener) {
+  emitter.on(event, listener);
+}
+
+/**
+ * Listen to an event only once.
+ * @param {string} event - The event name.
+ * @param {function} listener - The callback.
+ * @alias module:events.once
+**/
+function once(event, listener) {
+  emitter.once(event, listener);
+}
+
+/**
+ * Remove a listener, or all listeners of the event if listener is not provided.
+ * @param {string} event - The event name.
+ * @param {function} [listener] - The callback to remove.
+ * @alias module:events.off
+**/
+function off(event, listener) {
+  if (listener) emitter.removeListener(event, listener);
+  else emitter.removeAllListeners(event);
+}
+
+/**
+ * Emit an event, usually it's only used by rekit-core and plugins.
+ * @param {string} event - The event name.
+ * @param {Object} data - The event data.
+ * @alias module:events.emit
+**/
+function emit(event, data) {
+  emitter.emit(event, data);
+}
+
+// Used by context to switch listeners between projects.
+function getState() {
+  return { emitter };
+}
+
+function setState(state) {
+  emitter = state ? state.emitter : new EventEmitter();
+}
+
+module.exports = {
+  on,
+  once,
+  off,
+  emit,
+  getState,
+  setState,
+};
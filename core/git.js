@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Git integration of `vio.flush` by the local git CLI. When flush with the `git` option, moves and deletes of
+ * tracked files are done by `git mv` and `git rm` so that history follows renames, saved files are staged
+ * and optionally a commit is created with a message generated from the rekit commands run since last flush.
+ * It only works with the disk backend.
+ * @module
+**/
+
+const childProcess = require('child_process');
+const _ = require('lodash');
+const utils = require('./utils');
+const backend = require('./backend');
+
+let commands = []; // Commands run since last flush, used to generate the commit message
+
+function run(args) {
+  return childProcess.execFileSync('git', args, {
+    cwd: utils.getProjectRoot(),
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+}
+
+function toRelative(file) {
+  return utils.getRelativePath(file) || '.';
+}
+
+/**
+ * Check if the project is in a git repository.
+ * @alias module:git.isRepo
+**/
+function isRepo() {
+  try {
+    return run(['rev-parse', '--is-inside-work-tree']).trim() === 'true';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Get changed files in the working tree, `.rekit` folder for history and cache is ignored.
+ * @returns {Array} Lines of `git status --porcelain`.
+ * @alias module:git.getDirtyFiles
+**/
+function getDirtyFiles() {
+  return run(['status', '--porcelain', '--', '.', ':(exclude).rekit']).split('\n').filter(Boolean);
+}
+
+/**
+ * Make sure git could be used by flush: the backend is the disk, the project is in a git repository,
+ * and the working tree is clean unless it's forced.
+ * @param {boolean} force - Allow a dirty working tree.
+ * @alias module:git.assertReady
+**/
+function assertReady(force) {
+  if (backend.getBackend().name !== 'disk') {
+    utils.fatalError('Git integration only works with the disk backend.');
+  }
+  if (!isRepo()) {
+    utils.fatalError(`Not a git repository: ${utils.getProjectRoot()}`);
+  }
+  if (!force && getDirtyFiles().length) {
+    utils.fatalError('The git working tree is not clean, please commit or stash changes first, or flush with git.force.');
+  }
+}
+
+/**
+ * Check if a file or folder is tracked by git.
+ * @param {string} file - The absolute path.
+ * @alias module:git.isTracked
+**/
+function isTracked(file) {
+  return run(['ls-files', '--', toRelative(file)]).trim() !== '';
+}
+
+/**
+ * Move a tracked file or folder by `git mv`.
+ * @alias module:git.mv
+**/
+function mv(from, to) {
+  run(['mv', toRelative(from), toRelative(to)]);
+}
+
+/**
+ * Delete a tracked file or folder by `git rm`.
+ * @alias module:git.rm
+**/
+function rm(file) {
+  run(['rm', '-r', '-q', '--', toRelative(file)]);
+}
+
+/**
+ * Stage files by `git add`.
+ * @param {Array} files - Absolute paths.
+ * @alias module:git.add
+**/
+function add(files) {
+  if (files.length) run(['add', '--'].concat(files.map(toRelative)));
+}
+
+/**
+ * Get files which have staged changes, untracked files are not included.
+ * @param {Array} files - Absolute paths of files or folders to check.
+ * @returns {Array} Absolute paths of staged files.
+ * @alias module:git.getStagedFiles
+**/
+function getStagedFiles(files) {
+  if (!files.length) return [];
+  return run(['diff', '--cached', '--name-only', '--no-renames', '--relative', '-z', '--'].concat(files.map(toRelative)))
+    .split('\0')
+    .filter(Boolean)
+    .map(f => utils.joinPath(utils.getProjectRoot(), f));
+}
+
+/**
+ * Reset the index of files to HEAD, used to revert staged changes when flush fails.
+ * @param {Array} files - Absolute paths.
+ * @alias module:git.resetIndex
+**/
+function resetIndex(files) {
+  if (files.length) run(['reset', '-q', '--'].concat(files.map(toRelative)));
+}
+
+/**
+ * Commit files.
+ * @param {string} message - The commit message.
+ * @param {Array} files - Absolute paths of files to commit, other staged files are not committed.
+ * @returns {string} The hash of the commit.
+ * @alias module:git.commit
+**/
+function commit(message, files) {
+  run(['commit', '-q', '-m', message, '--'].concat(files.map(toRelative)));
+  return run(['rev-parse', 'HEAD']).trim();
+}
+
+/**
+ * Record a command so that it's described in the commit message of next git flush.
+ * It's called by core and plugin commands automatically.
+ * @param {Object} cmd - The command in form of `{ command, type, args }`.
+ * @alias module:git.recordCommand
+**/
+function recordCommand(cmd) {
+  commands.push(cmd);
+}
+
+/**
+ * Clear recorded commands, called after flush or vio.reset.
+ * @alias module:git.clearCommands
+**/
+function clearCommands() {
+  commands = [];
+}
+
+function describeElement(arg) {
+  return _.isPlainObject(arg) ? `${arg.feature}/${arg.name}` : String(arg);
+}
+
+function describeCommand(cmd) {
+  // Summary:
+  //  Describe a command like the rekit CLI, e.g. 'add component home/hello'.
+  let element;
+  if (cmd.command === 'move') element = `${describeElement(cmd.args[0])} to ${describeElement(cmd.args[1])}`;
+  else if (cmd.type === 'feature') element = describeElement(cmd.args[0]);
+  else element = `${cmd.args[0]}/${cmd.args[1]}`;
+  return `${cmd.command} ${cmd.type} ${element}`;
+}
+
+/**
+ * Generate the commit message from recorded commands.
+ * @alias module:git.getCommitMessage
+ *
+ * @example
+ * const rekitCore = require('rekit-core');
+ * rekitCore.moveFeature('home', 'main');
+ * rekitCore.git.getCommitMessage();
+ * // => 'rekit move feature home to main'
+**/
+function getCommitMessage() {
+  if (!commands.length) return 'rekit: update project';
+  const lines = commands.map(describeCommand);
+  if (lines.length === 1) return `rekit ${lines[0]}`;
+  return `rekit: ${lines.length} commands\n\n${lines.map(l => `- ${l}`).join('\n')}`;
+}
+
+// Used by context to switch recorded commands between projects.
+function getState() {
+  return { commands };
+}
+
+function setState(state) {
+  commands = state ? state.commands : [];
+}
+
+module.exports = {
+  isRepo,
+  getDirtyFiles,
+  assertReady,
+  isTracked,
+  mv,
+  rm,
+  add,
+  getStagedFiles,
+  resetIndex,
+  commit,
+  recordCommand,
+  clearCommands,
+  getCommitMessage,
+  getState,
+  setState,
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Export the dependency graph of features, components and actions for documents. It's based on `app.getGraph`.
+ * Supported formats are DOT of Graphviz, Mermaid and JSON. It's used by the command `rekit graph`.
+ * @module
+**/
+
+const _ = require('lodash');
+const utils = require('./utils');
+const app = require('./app');
+
+function getId(node) {
+  return `${node.feature}/${node.name}`;
+}
+
+/**
+ * Get the graph data of features, components and actions. Edges are:
+ *  - feature: a feature depends on another feature, `count` is the number of module dependencies between them.
+ *  - component: a component depends on another component.
+ *  - action: a component uses an action.
+ * Dependencies by dynamic `import()` have the `dynamic` flag.
+ * @param {Object} [args] - Options.
+ * @param {string} [args.feature] - Only include elements of the feature and those depending on or depended by it.
+ * @returns {Object} The graph in form of `{ nodes: [{ id, type, feature, name, file }], edges: [{ from, to, type, dynamic, count }] }`.
+ *   Node ids are feature names for features or 'feature/name' for elements. Files are relative to the project root.
+ * @alias module:graph.getGraphData
+**/
+function getGraphData(args) {
+  args = args || {};
+  const feature = args.feature && _.kebabCase(args.feature);
+  const graph = app.getGraph();
+  const byFile = _.keyBy(graph.nodes, 'file');
+  const edges = [];
+  const featureEdges = {};
+
+  graph.edges.forEach((edge) => {
+    const from = byFile[edge.from];
+    const to = byFile[edge.to];
+    if (!from || !to || !from.feature || !to.feature) return;
+    if (feature && from.feature !== feature && to.feature !== feature) return;
+    if (from.feature !== to.feature) {
+      const key = `${from.feature} => ${to.feature}`;
+      if (!featureEdges[key]) {
+        featureEdges[key] = { from: from.feature, to: to.feature, type: 'feature', count: 0 };
+        edges.push(featureEdges[key]);
+      }
+      featureEdges[key].count += 1;
+    }
+    if (from.type === 'component' && (to.type === 'component' || to.type === 'action')) {
+      edges.push(Object.assign({ from: getId(from), to: getId(to), type: to.type }, edge.dynamic ? { dynamic: true } : {}));
+    }
+  });
+
+  const ids = {};
+  edges.forEach((edge) => {
+    ids[edge.from] = true;
+    ids[edge.to] = true;
+  });
+  const features = _.uniq(graph.nodes.map(n => n.feature).filter(f => f && (!feature || ids[f] || f === feature)));
+  const nodes = features.map(f => ({ id: f, type: 'feature', feature: f, name: f }))
+    .concat(graph.nodes
+      .filter(n => n.feature && (n.type === 'component' || n.type === 'action'))
+      .filter(n => !feature || n.feature === feature || ids[getId(n)])
+      .map(n => ({ id: getId(n), type: n.type, feature: n.feature, name: n.name, file: utils.getRelativePath(n.file) })));
+
+  return { nodes, edges };
+}
+
+function quote(str) {
+  return `"${str.replace(/"/g, '\\"')}"`;
+}
+
+function toDot(data) {
+  const lines = ['digraph rekit {', '  rankdir=LR;'];
+  const elements = _.groupBy(data.nodes.filter(n => n.type !== 'feature'), 'feature');
+  data.nodes.filter(n => n.type === 'feature').forEach((f) => {
+    lines.push(`  ${quote(f.id)} [shape=folder];`);
+    if (!elements[f.feature]) return;
+    lines.push(`  subgraph ${quote('cluster_' + f.feature)} {`, `    label=${quote(f.feature)};`);
+    elements[f.feature].forEach((n) => {
+      lines.push(`    ${quote(n.id)} [label=${quote(n.name)}, shape=${n.type === 'action' ? 'ellipse' : 'box'}];`);
+    });
+    lines.push('  }');
+  });
+  data.edges.forEach((e) => {
+    const attrs = [];
+    if (e.type === 'feature') attrs.push('style=bold', `label=${quote(String(e.count))}`);
+    if (e.dynamic) attrs.push('style=dashed');
+    lines.push(`  ${quote(e.from)} -> ${quote(e.to)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+  });
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function toMermaid(data) {
+  // Mermaid ids only allow word characters
+  const mId = id => id.replace(/\W/g, '_');
+  const lines = ['graph LR'];
+  const elements = _.groupBy(data.nodes.filter(n => n.type !== 'feature'), 'feature');
+  data.nodes.filter(n => n.type === 'feature').forEach((f) => {
+    lines.push(`  feature_${mId(f.id)}[/${quote(f.name)}/]`);
+    if (!elements[f.feature]) return;
+    lines.push(`  subgraph ${mId(f.feature)} [${quote(f.feature)}]`);
+    elements[f.feature].forEach((n) => {
+      lines.push(n.type === 'action' ? `    ${mId(n.id)}([${quote(n.name)}])` : `    ${mId(n.id)}[${quote(n.name)}]`);
+    });
+    lines.push('  end');
+  });
+  data.edges.forEach((e) => {
+    if (e.type === 'feature') {
+      lines.push(`  feature_${mId(e.from)} ==>|${e.count}| feature_${mId(e.to)}`);
+    } else {
+      lines.push(`  ${mId(e.from)} ${e.dynamic ? '-.->' : '-->'} ${mId(e.to)}`);
+    }
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Export the dependency graph as text.
+ * @param {Object} [args] - Options.
+ * @param {string} [args.format=dot] - The output format: 'dot', 'mermaid' or 'json'.
+ * @param {string} [args.feature] - Only export the graph related to the feature, see `getGraphData`.
+ * @alias module:graph.exportGraph
+ *
+ * @example
+ * const rekitCore = require('rekit-core');
+ * rekitCore.graph.exportGraph({ format: 'mermaid', feature: 'home' });
+ * // =>
+ * // graph LR
+ * //   feature_home[/"home"/]
+ * //   subgraph home ["home"]
+ * //     home_TopicList["TopicList"]
+ * //     home_fetchTopics(["fetchTopics"])
+ * //   end
+ * //   home_TopicList --> home_fetchTopics
+**/
+function exportGraph(args) {
+  args = args || {};
+  const data = getGraphData(args);
+  switch (args.format || 'dot') {
+    case 'dot':
+      return toDot(data);
+    case 'mermaid':
+      return toMermaid(data);
+    case 'json':
+      return JSON.stringify(data, null, 2);
+    default:
+      utils.fatalError(`Unknown graph format: ${args.format}, it should be dot, mermaid or json.`);
+  }
+  return null;
+}
+
+module.exports = {
+  getGraphData,
+  exportGraph,
+};
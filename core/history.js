@@ -0,0 +1,145 @@
+'use strict';
+
+/**
+ * Flush history. Every flush of vio writes a reversible changeset under `.rekit/history` of the project.
+ * It's used by `vio.undo` and `vio.redo`, usually you don't need to use it directly.
+ * @module
+**/
+
+const path = require('path');
+const _ = require('lodash');
+const utils = require('./utils');
+const backend = require('./backend');
+
+const MAX_CHANGESETS = 50;
+
+/**
+ * Get the folder where changesets are saved.
+ * @alias module:history.getHistoryDir
+**/
+function getHistoryDir() {
+  return utils.joinPath(utils.getProjectRoot(), '.rekit/history');
+}
+
+function getIndexFile() {
+  return utils.joinPath(getHistoryDir(), 'index.json');
+}
+
+function getChangesetFile(id) {
+  return utils.joinPath(getHistoryDir(), `${id}.json`);
+}
+
+function readIndex() {
+  // Summary:
+  //  The index keeps changeset ids in order, changesets before the cursor could be undone, others could be redone.
+  const indexFile = getIndexFile();
+  if (!backend.exists(indexFile)) {
+    return { changesets: [], cursor: 0 };
+  }
+  return JSON.parse(backend.readFile(indexFile));
+}
+
+function writeIndex(index) {
+  backend.mkdirp(getHistoryDir());
+  backend.writeFile(getIndexFile(), JSON.stringify(index, null, 2));
+}
+
+function mapPaths(change, mapPath) {
+  const res = Object.assign({}, change);
+  ['file', 'dir', 'from', 'to'].forEach((key) => {
+    if (res[key]) res[key] = mapPath(res[key]);
+  });
+  if (res.contents) {
+    res.contents = _.mapKeys(res.contents, (value, key) => mapPath(key));
+  }
+  return res;
+}
+
+// Paths are saved relative to the project root so that the history still works if the project is moved.
+function toRelative(change) {
+  return mapPaths(change, utils.getRelativePath);
+}
+
+function toAbsolute(change) {
+  return mapPaths(change, p => (path.isAbsolute(p) ? p : utils.getFullPath(p)));
+}
+
+function readChangeset(id) {
+  const changeset = JSON.parse(backend.readFile(getChangesetFile(id)));
+  changeset.changes = changeset.changes.map(toAbsolute);
+  return changeset;
+}
+
+/**
+ * Record changes applied by a flush as a new changeset. Changesets which have been undone are discarded.
+ * @param {Array} changes - The changes applied to the disk.
+ * @alias module:history.push
+**/
+function push(changes) {
+  const index = readIndex();
+  index.changesets.splice(index.cursor).forEach(id => backend.remove(getChangesetFile(id)));
+
+  let id = String(Date.now());
+  if (index.changesets.some(cid => _.startsWith(cid, id))) {
+    id += `-${index.changesets.length}`;
+  }
+  const changeset = {
+    id,
+    time: new Date().toISOString(),
+    changes: changes.map(toRelative),
+  };
+  backend.mkdirp(getHistoryDir());
+  backend.writeFile(getChangesetFile(id), JSON.stringify(changeset, null, 2));
+  index.changesets.push(id);
+
+  index.changesets.splice(0, Math.max(index.changesets.length - MAX_CHANGESETS, 0))
+    .forEach(cid => backend.remove(getChangesetFile(cid)));
+  index.cursor = index.changesets.length;
+  writeIndex(index);
+}
+
+/**
+ * Get the changeset to undo.
+ * @alias module:history.getUndo
+**/
+function getUndo() {
+  const index = readIndex();
+  return index.cursor > 0 ? readChangeset(index.changesets[index.cursor - 1]) : null;
+}
+
+/**
+ * Get the changeset to redo.
+ * @alias module:history.getRedo
+**/
+function getRedo() {
+  const index = readIndex();
+  return index.cursor < index.changesets.length ? readChangeset(index.changesets[index.cursor]) : null;
+}
+
+/**
+ * Move the cursor after a changeset is undone(-1) or redone(1).
+ * @param {number} step - How many changesets to move.
+ * @alias module:history.moveCursor
+**/
+function moveCursor(step) {
+  const index = readIndex();
+  index.cursor = _.clamp(index.cursor + step, 0, index.changesets.length);
+  writeIndex(index);
+}
+
+/**
+ * Remove all history of the project.
+ * @alias module:history.clear
+**/
+function clear() {
+  backend.remove(getHistoryDir());
+}
+
+module.exports = {
+  getHistoryDir,
+  push,
+  getUndo,
+  getRedo,
+  moveCursor,
+  clear,
+};
@@ -77,6 +77,16 @@ const route = require('./route');
 const template = require('./template');
 const plugin = require('./plugin');
 const constant = require('./constant');
+const history = require('./history');
+const patch = require('./patch');
+const backend = require('./backend');
+const context = require('./context');
+const reporter = require('./reporter');
+const events = require('./events');
+const git = require('./git');
+const graph = require('./graph');
+const coupling = require('./coupling');
+const cache = require('./cache');
 
 const injectExtensionPoints = plugin.injectExtensionPoints;
 
@@ -142,8 +152,61 @@ function removeComponent(feature, name) {
   test.remove(feature, name);
 }
 
+/**
+ * Convert a component to a function component. It wraps `component.convert`.
+ *
+ * @param {string} feature - the feature of the component.
+ * @param {string} name - the component name, will be converted to pascal case.
+ * @param {object} args - other arguments, `args.to` is the target form and only 'function' is supported.
+ * @alias module:rekit-core.convertComponent
+ *
+ * @example <caption>Convert a class component to a function component</caption>
+ * const rekitCore = require('rekit-core');
+ *
+ * // Same as the command: rekit convert component home/topic-list --to function
+ * rekitCore.convertComponent('home', 'topic-list', { to: 'function' });
+ * rekitCore.vio.flush();
+**/
+function convertComponent(feature, name, args) {
+  component.convert(feature, name, args);
+}
+
+/**
+ * Extract a JSX element of a component to a new component. The new component is created by `addComponent`
+ * then the element is moved to its render method, see `refactor.analyzeJsxRange` and `component.extract` for details.
+ *
+ * @param {string} file - the module where the JSX element is.
+ * @param {object} range - the range of the JSX element in form of { start: {number}, end: {number} }.
+ * @param {ElementArg} target - the new component.
+ * @alias module:rekit-core.extractComponent
+ *
+ * @example <caption>Extract a list item of TopicList to TopicItem</caption>
+ * const rekitCore = require('rekit-core');
+ *
+ * // The range is usually from the selection of an editor
+ * rekitCore.extractComponent('/path/to/src/features/home/TopicList.js', { start: 320, end: 416 }, { feature: 'home', name: 'topic-item' });
+ * rekitCore.vio.flush();
+**/
+function extractComponent(file, range, target) {
+  // Analyze the range first so that nothing is created if it couldn't be extracted
+  const jsx = refactor.analyzeJsxRange(file, range.start, range.end);
+  addComponent(target.feature, target.name);
+  component.extract(file, jsx, target);
+}
+
+function updateDependents(dependents, from, to) {
+  // Summary:
+  //  Update imports of modules depending on an element which is moved to another feature.
+  //  Dependents should be found before the move, the moved modules themselves are skipped.
+  dependents
+    .filter(file => vio.fileExists(file))
+    .forEach(file => refactor.updateMovedImports(file, from, to));
+}
+
 /**
  * Move/rename a component including unit test and style files. It wraps APIs from `component`, `style` and `test`.
+ * When renamed in the same feature, modules importing the component are also updated by `refactor.renameIdentifierInProject`.
+ * When moved to another feature, imports of modules depending on it are updated by `refactor.updateMovedImports`.
  *
  * @param {object} source - which component to be moved, in form of { name: {string}, feature: {string} }.
  * @param {object} target - where to move, in form of { name: {string}, feature: {string} }.
@@ -164,10 +227,25 @@ function moveComponent(source, target) {
   target.feature = _.kebabCase(target.feature);
   target.name = _.pascalCase(target.name);
 
+  const srcPath = utils.mapComponent(source.feature, source.name) + '.js';
+  if (source.feature === target.feature && source.name !== target.name) {
+    // Update importers all over the project before the component is moved
+    refactor.renameIdentifierInProject(srcPath, source.name, target.name);
+  }
+  const dependents = source.feature !== target.feature ? refactor.findModulesMentioning([source.name]) : [];
   component.move(source, target);
   test.move(source, target);
   style.move(source, target);
   route.move(source, target);
+  updateDependents(dependents, {
+    file: srcPath,
+    entry: utils.mapFeatureFile(source.feature, 'index.js'),
+    name: source.name,
+  }, {
+    file: utils.mapComponent(target.feature, target.name) + '.js',
+    entry: utils.mapFeatureFile(target.feature, 'index.js'),
+    name: target.name,
+  });
 }
 
 /**
@@ -198,6 +276,7 @@ function removeAsyncAction(feature, name) {
 
 /**
  * Move/rename an async action including unit test.
+ * When moved to another feature, imports of modules depending on it are updated by `refactor.updateMovedImports`.
  *
  * @param {ElementArg} source - Which action to be moved.
  * @param {ElementArg} target - Where to move.
@@ -205,8 +284,19 @@ function removeAsyncAction(feature, name) {
  *
 **/
 function moveAsyncAction(source, target) {
+  const srcPath = utils.mapReduxFile(source.feature, source.name);
+  const dismissName = `dismiss${_.pascalCase(source.name)}Error`;
+  const dependents = _.kebabCase(source.feature) !== _.kebabCase(target.feature) ? refactor.findModulesMentioning([_.camelCase(source.name), dismissName]) : [];
   action.moveAsync(source, target);
   test.moveAction(source, target, { isAsync: true });
+  const from = { file: srcPath, entry: utils.mapReduxFile(source.feature, 'actions') };
+  const to = { file: utils.mapReduxFile(target.feature, target.name), entry: utils.mapReduxFile(target.feature, 'actions') };
+  updateDependents(dependents, Object.assign({ name: source.name }, from), Object.assign({ name: target.name }, to));
+  updateDependents(
+    dependents,
+    Object.assign({ name: dismissName }, from),
+    Object.assign({ name: `dismiss${_.pascalCase(target.name)}Error` }, to)
+  );
 }
 
 /**
@@ -247,6 +337,7 @@ function removeAction(feature, name) {
 
 /**
  * Move/rename an action including unit test.
+ * When moved to another feature, imports of modules depending on it are updated by `refactor.updateMovedImports`.
  *
  * @param {object} source - which action to be moved, in form of { name: {string}, feature: {string} }.
  * @param {object} target - where to move, in form of { name: {string}, feature: {string} }.
@@ -259,8 +350,45 @@ function moveAction(source, target) {
     moveAsyncAction(source, target);
     return;
   }
+  const dependents = _.kebabCase(source.feature) !== _.kebabCase(target.feature) ? refactor.findModulesMentioning([_.camelCase(source.name)]) : [];
   action.move(source, target);
   test.moveAction(source, target);
+  updateDependents(dependents, {
+    file: targetPath,
+    entry: utils.mapReduxFile(source.feature, 'actions'),
+    name: source.name,
+  }, {
+    file: utils.mapReduxFile(target.feature, target.name),
+    entry: utils.mapReduxFile(target.feature, 'actions'),
+    name: target.name,
+  });
+}
+
+/**
+ * Convert a sync action to an async action or vice versa, and generate its unit test again.
+ * It wraps `action.convert` and `test.addAction`.
+ *
+ * @param {string} feature - the feature of the action.
+ * @param {string} name - the action name, will be converted to camel case.
+ * @param {object} args - other arguments, `args.async` is true to convert to an async action, false to a sync action.
+ * @alias module:rekit-core.convertAction
+ *
+ * @example <caption>Promote a sync action to an async action</caption>
+ * const rekitCore = require('rekit-core');
+ *
+ * // Same as the command: rekit convert action home/fetch-topics --async
+ * rekitCore.convertAction('home', 'fetch-topics', { async: true });
+ * rekitCore.vio.flush();
+**/
+function convertAction(feature, name, args) {
+  args = args || {};
+  const targetPath = utils.mapReduxFile(feature, name);
+  const isAsync = !!_.get(app.getRekitProps(targetPath), 'action.isAsync');
+  if (isAsync === !!args.async) {
+    utils.fatalError(`Action ${feature}/${name} is already ${isAsync ? 'async' : 'sync'}.`);
+  }
+  action.convert(feature, name, args);
+  test.addAction(feature, name, { isAsync: !!args.async, force: true });
 }
 
 /**
@@ -311,11 +439,14 @@ const coreCommands = {
   addComponent: injectExtensionPoints(addComponent, 'add', 'component'),
   removeComponent: injectExtensionPoints(removeComponent, 'remove', 'component'),
   moveComponent: injectExtensionPoints(moveComponent, 'move', 'component'),
+  convertComponent: injectExtensionPoints(convertComponent, 'convert', 'component'),
+  extractComponent: injectExtensionPoints(extractComponent, 'extract', 'component'),
   addAction: injectExtensionPoints(addAction, 'add', 'action'),
   removeAction: injectExtensionPoints(removeAction, 'remove', 'action'),
   moveAction: injectExtensionPoints(moveAction, 'move', 'action'),
   addAsyncAction: injectExtensionPoints(addAsyncAction, 'add', 'async-action'),
   removeAsyncAction: injectExtensionPoints(removeAsyncAction, 'remove', 'async-action'),
+  convertAction: injectExtensionPoints(convertAction, 'convert', 'action'),
   moveAsyncAction: injectExtensionPoints(moveAsyncAction, 'move', 'async-action'),
   addFeature: injectExtensionPoints(addFeature, 'add', 'feature'),
   removeFeature: injectExtensionPoints(removeFeature, 'remove', 'feature'),
@@ -332,13 +463,40 @@ function splitName(name) {
 
 /**
  * Handle the parse result of Rekit command, like `rekit add component home/hello`.
+ * `rekit undo` and `rekit redo` revert or re-apply the last flushed changes, see `vio.undo` and `vio.redo`.
+ * `rekit graph --format dot|mermaid|json [--feature home]` outputs the dependency graph, see `graph.exportGraph`.
+ * `rekit check-deps` checks dependency rules and throws an error if any is violated, see `coupling.checkRules`.
+ * `rekit convert component home/hello --to function` converts a class component to a function component.
+ * `rekit convert action home/fetch-topics --async` converts a sync action to an async action, without `--async` it does the reverse.
  * @alias module:rekit-core.handleCommand
 **/
 function handleCommand(args) {
+  if (args.commandName === 'undo' || args.commandName === 'redo') {
+    vio[args.commandName]();
+    return;
+  }
+
+  if (args.commandName === 'graph') {
+    const output = graph.exportGraph({ format: args.format, feature: args.feature });
+    utils.log(output);
+    return;
+  }
+
+  if (args.commandName === 'check-deps') {
+    const res = coupling.checkRules();
+    res.violations.forEach(v => utils.error(v.message));
+    if (!res.passed) {
+      utils.fatalError(`${res.violations.length} dependency rule violation(s) found.`);
+    }
+    utils.log('All dependency rules passed.');
+    return;
+  }
+
   const params = [];
   switch (args.commandName) {
     case 'add':
-    case 'remove': {
+    case 'remove':
+    case 'convert': {
       if (args.type === 'feature') params.push(args.name);
       else {
         params.push(splitName(args.name).feature);
@@ -387,8 +545,18 @@ module.exports = Object.assign({
   entry,
   route,
   plugin,
+  history,
+  patch,
+  backend,
+  reporter,
+  events,
+  git,
+  graph,
+  coupling,
+  cache,
 
   handleCommand,
+  createContext: context.createContext,
 }, coreCommands);
 
 // NOTE: plugin.loadPlutins should be executed after module.exports to avoid circular dependency
@@ -0,0 +1,190 @@
+'use strict';
+
+/**
+ * Create git style unified diff for file changes and merge changes. It's used by `vio.preview` to show
+ * what a flush will do and by `vio.flush` to merge files changed by others.
+ * @module
+**/
+
+const _ = require('lodash');
+const jsdiff = require('diff');
+
+const NO_NEWLINE = '\\ No newline at end of file';
+
+function splitLines(content) {
+  const lines = content.split('\n');
+  if (_.last(lines) === '') lines.pop();
+  return lines;
+}
+
+function wholeFileHunk(content, prefix) {
+  // Summary:
+  //  The hunk for a created or deleted file, jsdiff doesn't handle empty content well.
+  const lines = splitLines(content);
+  if (!lines.length) return [];
+  const range = `${prefix === '+' ? '-0,0 +1' : '-1'},${lines.length}`;
+  const header = prefix === '+' ? `@@ ${range} @@` : `@@ ${range} +0,0 @@`;
+  const res = [header].concat(lines.map(l => prefix + l));
+  if (!/\n$/.test(content)) res.push(NO_NEWLINE);
+  return res;
+}
+
+function diffHunks(oldContent, newContent) {
+  if (!oldContent) return wholeFileHunk(newContent, '+');
+  if (!newContent) return wholeFileHunk(oldContent, '-');
+  const patch = jsdiff.structuredPatch('', '', oldContent, newContent, '', '', { context: 3 });
+  const lastHunk = _.last(patch.hunks);
+  if (lastHunk && !/\n$/.test(newContent) && _.last(lastHunk.lines) !== NO_NEWLINE) {
+    // jsdiff misses the mark for the new content if the old content doesn't end with newline either
+    lastHunk.lines.push(NO_NEWLINE);
+  }
+  return _.flatten(patch.hunks.map(hunk => [
+    `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+  ].concat(hunk.lines)));
+}
+
+/**
+ * Create a git style unified diff for a list of file changes.
+ * @param {Array} changes - The file changes, each one is in form of
+ *   `{ type: 'create'|'update'|'delete'|'move', file, from, oldContent, newContent, binary }`.
+ *   Paths should be relative to the project root, `from` is only for 'move'.
+ * @alias module:patch.createPatch
+ *
+ * @example
+ * const patch = require('rekit-core').patch;
+ * patch.createPatch([{ type: 'create', file: 'src/a.js', newContent: 'a\n' }]);
+ * // =>
+ * // diff --git a/src/a.js b/src/a.js
+ * // new file mode 100644
+ * // --- /dev/null
+ * // +++ b/src/a.js
+ * // @@ -0,0 +1,1 @@
+ * // +a
+**/
+function createPatch(changes) {
+  const lines = [];
+  changes.forEach((change) => {
+    const oldFile = change.from || change.file;
+    const newFile = change.file;
+    lines.push(`diff --git a/${oldFile} b/${newFile}`);
+    switch (change.type) {
+      case 'create':
+        lines.push('new file mode 100644');
+        break;
+      case 'delete':
+        lines.push('deleted file mode 100644');
+        break;
+      case 'move':
+        if (change.oldContent === change.newContent) lines.push('similarity index 100%');
+        lines.push(`rename from ${oldFile}`, `rename to ${newFile}`);
+        break;
+      default:
+        break;
+    }
+    if (change.binary) {
+      lines.push(`Binary files ${change.type === 'create' ? '/dev/null' : 'a/' + oldFile} and ${change.type === 'delete' ? '/dev/null' : 'b/' + newFile} differ`);
+      return;
+    }
+    const hunks = diffHunks(change.oldContent || '', change.newContent || '');
+    if (!hunks.length) return;
+    lines.push(
+      change.type === 'create' ? '--- /dev/null' : `--- a/${oldFile}`,
+      change.type === 'delete' ? '+++ /dev/null' : `+++ b/${newFile}`
+    );
+    Array.prototype.push.apply(lines, hunks);
+  });
+  return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+function getEdits(baseLines, lines) {
+  // Summary:
+  //  Get edits from base to lines, each edit replaces base lines [start, end) with new lines.
+  const edits = [];
+  let pos = 0;
+  let curr = null;
+  jsdiff.diffArrays(baseLines, lines).forEach((part) => {
+    if (!part.added && !part.removed) {
+      curr = null;
+      pos += part.count;
+      return;
+    }
+    if (!curr) {
+      curr = { start: pos, end: pos, lines: [] };
+      edits.push(curr);
+    }
+    if (part.removed) {
+      curr.end += part.count;
+      pos += part.count;
+    } else {
+      curr.lines = curr.lines.concat(part.value);
+    }
+  });
+  return edits;
+}
+
+function applyEdits(baseLines, edits, start, end) {
+  // Apply edits to the base lines in range [start, end)
+  const res = [];
+  let pos = start;
+  edits.forEach((edit) => {
+    Array.prototype.push.apply(res, baseLines.slice(pos, edit.start));
+    Array.prototype.push.apply(res, edit.lines);
+    pos = edit.end;
+  });
+  Array.prototype.push.apply(res, baseLines.slice(pos, end));
+  return res;
+}
+
+/**
+ * Three-way merge text content line by line. Changes from both sides are applied to the base,
+ * if both sides change the same lines differently, it's a conflict.
+ * @param {string} base - The common original content.
+ * @param {string} ours - Our content changed from base.
+ * @param {string} theirs - Their content changed from base.
+ * @returns {string} The merged content, or null if there are conflicts.
+ * @alias module:patch.merge3
+**/
+function merge3(base, ours, theirs) {
+  const baseLines = base.split('\n');
+  const edits = getEdits(baseLines, ours.split('\n')).map(e => Object.assign({ side: 'ours' }, e))
+    .concat(getEdits(baseLines, theirs.split('\n')).map(e => Object.assign({ side: 'theirs' }, e)));
+  edits.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Group overlapped edits, insertions at the same position are also overlapped
+  const groups = [];
+  edits.forEach((edit) => {
+    const group = _.last(groups);
+    if (group && (edit.start < group.end || edit.start === group.start)) {
+      group.edits.push(edit);
+      group.end = Math.max(group.end, edit.end);
+    } else {
+      groups.push({ start: edit.start, end: edit.end, edits: [edit] });
+    }
+  });
+
+  const merged = [];
+  let pos = 0;
+  for (let i = 0; i < groups.length; i += 1) {
+    const group = groups[i];
+    const bySide = _.groupBy(group.edits, 'side');
+    let lines;
+    if (!bySide.ours || !bySide.theirs) {
+      lines = applyEdits(baseLines, group.edits, group.start, group.end);
+    } else {
+      lines = applyEdits(baseLines, bySide.ours, group.start, group.end);
+      if (!_.isEqual(lines, applyEdits(baseLines, bySide.theirs, group.start, group.end))) {
+        return null;
+      }
+    }
+    Array.prototype.push.apply(merged, baseLines.slice(pos, group.start));
+    Array.prototype.push.apply(merged, lines);
+    pos = group.end;
+  }
+  Array.prototype.push.apply(merged, baseLines.slice(pos));
+  return merged.join('\n');
+}
+
+module.exports = {
+  createPatch,
+  merge3,
+};
@@ -7,9 +7,23 @@ const path = require('path');
 const _ = require('lodash');
 const shell = require('shelljs');
 const utils = require('./utils');
+const backend = require('./backend');
+const events = require('./events');
+const git = require('./git');
 // const template = require('./template');
 
 let plugins = null;
+let commandDepth = 0; // Commands may call other commands, only top level ones are recorded for git commits
+
+// Used by context to switch loaded plugins between projects.
+function getState() {
+  return { plugins };
+}
+
+function setState(state) {
+  plugins = state ? state.plugins : null;
+}
+
 function getPlugins(rekitCore) {
   if (!plugins) {
     loadPlugins(rekitCore); // eslint-disable-line
@@ -20,7 +34,7 @@ function getPlugins(rekitCore) {
 
 function injectExtensionPoints(func, command, targetName) {
   // Summary:
-  //  Hook: add/move/remove elements
+  //  Hook: add/move/remove elements, command:start and command:end events are also emitted.
 
   function execExtension(hookName, args) {
     getPlugins().forEach((p) => {
@@ -31,14 +45,28 @@ function injectExtensionPoints(func, command, targetName) {
   }
 
   return function() { // eslint-disable-line
-    const beforeHook = `before${_.pascalCase(command)}${_.pascalCase(targetName)}`;
-    execExtension(beforeHook, arguments);
-
-    const res = func.apply(null, arguments);
+    const evt = { command, type: targetName, args: _.toArray(arguments) };
+    events.emit('command:start', evt);
 
-    const afterHook = `after${_.pascalCase(command)}${_.pascalCase(targetName)}`;
-    execExtension(afterHook, arguments);
+    let res;
+    commandDepth += 1;
+    try {
+      const beforeHook = `before${_.pascalCase(command)}${_.pascalCase(targetName)}`;
+      execExtension(beforeHook, arguments);
+
+      res = func.apply(null, arguments);
+
+      const afterHook = `after${_.pascalCase(command)}${_.pascalCase(targetName)}`;
+      execExtension(afterHook, arguments);
+    } catch (err) {
+      events.emit('command:end', Object.assign({ error: err }, evt));
+      throw err;
+    } finally {
+      commandDepth -= 1;
+    }
 
+    if (!commandDepth) git.recordCommand(evt);
+    events.emit('command:end', evt);
     return res;
   };
 }
@@ -46,7 +74,7 @@ function injectExtensionPoints(func, command, targetName) {
 function loadPlugins(rekitCore) {
   const prjRoot = utils.getProjectRoot();
 
-  const prjPkgJson = require(utils.joinPath(prjRoot, 'package.json')); // eslint-disable-line
+  const prjPkgJson = JSON.parse(backend.readFile(utils.joinPath(prjRoot, 'package.json')));
 
   // Find local plugins, all local plugins are loaded
   const localPluginsFolder = utils.joinPath(prjRoot, 'tools/plugins');
@@ -145,4 +173,6 @@ module.exports = {
   loadPlugins,
   getPlugins,
   injectExtensionPoints,
+  getState,
+  setState,
 };
@@ -1,8 +1,16 @@
 'use strict';
 
+const mPath = require('path');
+const _ = require('lodash');
 const traverse = require('babel-traverse').default;
+const utils = require('../utils');
+const vio = require('../vio');
 const common = require('./common');
 const identifier = require('./identifier');
+const importExport = require('./importExport');
+
+const COMPONENT_CLASSES = ['Component', 'PureComponent'];
+const STATIC_PROPS = ['propTypes', 'defaultProps'];
 
 /**
  * Rename a es6 class name in a module. Only rename the class definition and its reference in the module.
@@ -38,6 +46,189 @@ function renameClassName(ast, oldName, newName) {
   return [];
 }
 
+function isComponentClass(node) {
+  const superClass = node.superClass;
+  if (!superClass) return false;
+  if (superClass.type === 'Identifier') return _.includes(COMPONENT_CLASSES, superClass.name);
+  return superClass.type === 'MemberExpression'
+    && _.get(superClass, 'object.name') === 'React'
+    && _.includes(COMPONENT_CLASSES, _.get(superClass, 'property.name'));
+}
+
+function isThisProps(node) {
+  return node.type === 'MemberExpression'
+    && !node.computed
+    && node.object.type === 'ThisExpression'
+    && _.get(node, 'property.name') === 'props';
+}
+
+function dedent(code) {
+  // Lines of class members are indented two more spaces than the function body.
+  return code.split('\n').map((line, i) => (i > 0 ? line.replace(/^ {2}/, '') : line)).join('\n');
+}
+
+function getStart(node) {
+  // Get the start position of a statement including its leading comments.
+  return Math.min.apply(null, [node.start].concat(_.map(node.leadingComments, 'start')));
+}
+
+function getEnd(node, max) {
+  // Get the end position of a statement including its trailing comments before max.
+  return Math.max.apply(null, [node.end].concat(_.map(node.trailingComments, 'end').filter(end => end <= max)));
+}
+
+function getUnconvertibleReasons(classPath) {
+  // Summary:
+  //  Only classes with a render method and static propTypes/defaultProps could be converted.
+  //  Returns why a class couldn't be converted, an empty array means it's convertible.
+  const reasons = [];
+  classPath.get('body.body').forEach((member) => {
+    const node = member.node;
+    const name = _.get(node, 'key.name') || 'computed member';
+    if (node.type === 'ClassProperty' && node.static && _.includes(STATIC_PROPS, name)) return;
+    if (node.type === 'ClassMethod' && !node.static && node.kind === 'method' && name === 'render') {
+      member.traverse({
+        ThisExpression(p) {
+          const usage = p.parentPath.isMemberExpression() && !p.parent.computed ? `this.${p.parent.property.name}` : 'this';
+          if (usage !== 'this.props' && !_.includes(reasons, usage)) reasons.push(usage);
+        },
+      });
+      return;
+    }
+    reasons.push(node.static ? `static ${name}` : name);
+  });
+  if (!_.find(classPath.node.body.body, { type: 'ClassMethod', key: { name: 'render' } })) reasons.push('no render method');
+  return reasons;
+}
+
+/**
+ * Convert class components in a module to function components. It only converts simple classes which have a `render`
+ * method and static `propTypes`/`defaultProps`, so components generated by Rekit, including connected ones, are supported.
+ * Classes using state, lifecycle or other methods are not converted and a warning is shown.
+ *
+ *  - `this.props` is replaced by the `props` argument. If render starts with `const { a, b } = this.props;`
+ *    and props are not used otherwise, the pattern becomes the argument: `function Foo({ a, b }) {`.
+ *  - static props are assigned after the function: `Foo.propTypes = {...};`.
+ *  - an anonymous `export default class extends Component` is named after the file, e.g. `TopicList` for TopicList.js.
+ *  - `Component` or `PureComponent` imported from react is removed if it's not used anymore.
+ *
+ * Unlike other refactor methods, it only accepts a file path because the original code is needed to keep the format.
+ * @param {string} filePath - The module which defines class components.
+ * @returns {Array} Changes applied to the module, empty if nothing is converted.
+ * @alias module:refactor.classToFunction
+ * @example
+ * // export default class Hello extends Component {
+ * //   static propTypes = { name: PropTypes.string };
+ * //   render() {
+ * //     const { name } = this.props;
+ * //     return <div>{name}</div>;
+ * //   }
+ * // }
+ * const refactor = require('rekit-core').refactor;
+ * refactor.classToFunction(file);
+ * // => export default function Hello({ name }) {
+ * // =>   return <div>{name}</div>;
+ * // => }
+ * // =>
+ * // => Hello.propTypes = { name: PropTypes.string };
+**/
+function classToFunction(filePath) {
+  const code = vio.getContent(filePath);
+  const ast = vio.getAst(filePath);
+  let changes = [];
+  const converted = [];
+
+  traverse(ast, {
+    ClassDeclaration(classPath) {
+      const node = classPath.node;
+      if (!isComponentClass(node)) return;
+      // An anonymous default exported class is named after the file
+      const name = node.id ? node.id.name : _.pascalCase(mPath.basename(filePath, '.js'));
+      if (!node.id && (!name || classPath.scope.hasBinding(name))) {
+        utils.warn(`Warning: the default exported class in ${utils.getRelativePath(filePath)} is not converted to a function component because of: ${name ? `name ${name} is already used` : 'no name'}.`);
+        return;
+      }
+      const reasons = getUnconvertibleReasons(classPath);
+      if (reasons.length) {
+        utils.warn(`Warning: ${name} is not converted to a function component because of: ${reasons.join(', ')}.`);
+        return;
+      }
+
+      const members = node.body.body;
+      const renderPath = _.find(classPath.get('body.body'), p => p.node.type === 'ClassMethod');
+      const body = renderPath.node.body;
+      const propsNodes = [];
+      renderPath.traverse({
+        MemberExpression(p) {
+          if (isThisProps(p.node)) propsNodes.push(p.node);
+        },
+      });
+
+      // Use the destructuring pattern as the argument if props are only used by it
+      const stmts = body.body;
+      const first = stmts[0];
+      const isDestructuring = first && first.type === 'VariableDeclaration' && first.declarations.length === 1
+        && first.declarations[0].id.type === 'ObjectPattern'
+        && first.declarations[0].init && isThisProps(first.declarations[0].init);
+      let param = propsNodes.length ? 'props' : '';
+      const bodyChanges = [];
+      if (isDestructuring && propsNodes.length === 1) {
+        const pattern = first.declarations[0].id;
+        param = code.slice(pattern.start, pattern.end);
+        bodyChanges.push({ start: first.start, end: stmts.length > 1 ? getStart(stmts[1]) : first.end, replacement: '' });
+      } else {
+        propsNodes.forEach(n => bodyChanges.push({ start: n.start, end: n.end, replacement: 'props' }));
+      }
+
+      // Take the code from the first statement to the last one so that single line bodies also work
+      let bodyLines = [];
+      if (stmts.length) {
+        const start = getStart(first);
+        const end = getEnd(_.last(stmts), body.end - 1);
+        const bodyCode = common.updateSourceCode(code.slice(0, end), bodyChanges).slice(start);
+        // Following lines keep their indent relative to the line where the body starts
+        const lineIndent = /^ */.exec(code.slice(code.lastIndexOf('\n', start - 1) + 1))[0].length;
+        const extraIndent = new RegExp(`^ {0,${Math.max(lineIndent - 2, 0)}}`);
+        bodyLines = bodyCode.split('\n').map((line, i) => (i === 0 ? `  ${line}` : line.replace(extraIndent, '')));
+        if (!bodyLines[0].trim()) bodyLines = [];
+      }
+
+      const statics = members
+        .filter(m => m.type === 'ClassProperty')
+        .map(m => `${name}.${m.key.name} = ${m.value ? dedent(code.slice(m.value.start, m.value.end)) : 'undefined'};`);
+
+      changes.push({
+        start: node.start,
+        end: node.end,
+        replacement: [`function ${name}(${param}) {`]
+          .concat(bodyLines, '}')
+          .concat(statics.length ? [''].concat(statics) : [])
+          .join('\n'),
+      });
+      converted.push(node);
+    },
+  });
+
+  // Remove Component/PureComponent imported from react if they're not used anymore
+  const inConverted = p => converted.some(n => p.node.start >= n.start && p.node.end <= n.end);
+  let unused = [];
+  traverse(ast, {
+    Program(p) {
+      unused = COMPONENT_CLASSES.filter((cls) => {
+        const binding = p.scope.getBinding(cls);
+        return converted.length && binding && binding.kind === 'module'
+          && _.get(binding, 'path.parent.source.value') === 'react'
+          && binding.referencePaths.every(inConverted);
+      });
+    },
+  });
+  if (unused.length) changes = changes.concat(importExport.removeImportSpecifier(ast, unused));
+
+  if (changes.length) common.updateFile(filePath, changes);
+  return changes;
+}
+
 module.exports = {
   renameClassName: common.acceptFilePathForAst(renameClassName),
+  classToFunction,
 };
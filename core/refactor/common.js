@@ -155,6 +155,7 @@ function acceptFilePathForLines(func) {
 module.exports = {
   updateSourceCode,
   updateFile,
+  getModuleResolverAlias,
   isLocalModule,
   isSameModuleSource,
   resolveModulePath,
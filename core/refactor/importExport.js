@@ -95,7 +95,8 @@ function addImportFrom(ast, moduleSource, defaultImport, namedImport, namespaceI
           }
         });
 
-        const newNode = Object.assign({}, node, { specifiers: newSpecifiers });
+        // Comments around the node are out of the replaced range, so they shouldn't be generated
+        const newNode = Object.assign({}, node, { specifiers: newSpecifiers, leadingComments: null, trailingComments: null });
         let newCode = generate(newNode, babelGeneratorOptions).code;
 
         if (multilines) {
@@ -191,7 +192,7 @@ function addExportFrom(ast, moduleSource, defaultExport, namedExport) {
           }
         });
 
-        const newNode = Object.assign({}, node, { specifiers: newSpecifiers });
+        const newNode = Object.assign({}, node, { specifiers: newSpecifiers, leadingComments: null, trailingComments: null });
         const newCode = generate(newNode, babelGeneratorOptions).code;
         changes.push({
           start: node.start,
@@ -364,7 +365,7 @@ function removeImportSpecifier(ast, name) {
         });
       } else if (newSpecifiers.length !== node.specifiers.length) {
         // remove the specifier import
-        const newNode = Object.assign({}, node, { specifiers: newSpecifiers });
+        const newNode = Object.assign({}, node, { specifiers: newSpecifiers, leadingComments: null, trailingComments: null });
         let newCode = generate(newNode, {}).code;
         if (multilines) newCode = formatMultilineImport(newCode);
         changes.push({
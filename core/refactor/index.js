@@ -16,6 +16,8 @@ const string = require('./string');
 const cls = require('./cls');
 const func = require('./func');
 const lines = require('./lines');
+const project = require('./project');
+const jsx = require('./jsx');
 
 module.exports = {
   // Common
@@ -32,6 +34,7 @@ module.exports = {
 
   // Class
   renameClassName: cls.renameClassName,
+  classToFunction: cls.classToFunction,
 
   // Function
   renameFunctionName: func.renameFunctionName,
@@ -76,4 +79,13 @@ module.exports = {
   lineIndex: lines.lineIndex,
   lastLineIndex: lines.lastLineIndex,
   removeLines: lines.removeLines,
+
+  // Project
+  findModulesMentioning: project.findModulesMentioning,
+  renameIdentifierInProject: project.renameIdentifierInProject,
+  updateMovedImports: project.updateMovedImports,
+  getModuleSource: project.getModuleSource,
+
+  // JSX
+  analyzeJsxRange: jsx.analyzeJsxRange,
 };
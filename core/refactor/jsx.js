@@ -0,0 +1,141 @@
+'use strict';
+
+const _ = require('lodash');
+const traverse = require('babel-traverse').default;
+const utils = require('../utils');
+const vio = require('../vio');
+const common = require('./common');
+
+function isInRange(node, range) {
+  return node.start >= range.start && node.end <= range.end;
+}
+
+function getIndent(code, pos) {
+  // Get the column of a position.
+  return pos - (code.lastIndexOf('\n', pos - 1) + 1);
+}
+
+function getPropName(thisMember) {
+  // Summary:
+  //  Get the prop name for member access of this: this.props.a and this.state.a are 'a', this.handleClick is 'handleClick'.
+  const property = thisMember.node.property.name;
+  const parent = thisMember.parent;
+  if ((property === 'props' || property === 'state') && parent.type === 'MemberExpression'
+    && parent.object === thisMember.node && !parent.computed) {
+    return { name: parent.property.name, node: parent };
+  }
+  return { name: property, node: thisMember.node };
+}
+
+/**
+ * Analyze a JSX element selected by a range so that it could be extracted to a new component.
+ * Identifiers used by the element but defined outside of it become props, including member access of `this` like
+ * `this.props.a`, `this.state.b` or `this.handleClick`. Identifiers imported by the module become imports of
+ * the new component.
+ *
+ * @param {string} filePath - The module where the JSX element is.
+ * @param {number} start - The start position of the range, white spaces around the element are ignored.
+ * @param {number} end - The end position of the range.
+ * @returns {Object} `{ start, end, code, props, imports, key }`:
+ *   - start, end: the range of the JSX element.
+ *   - code: the code of the element with props referred by their names, indent removed.
+ *   - props: `{ name, value }`, value is the expression code passed to the prop, e.g. 'this.state.b'. A member of
+ *     `this` gets a unique name like 'b2' if the name is used by other props, imports or variables of the element.
+ *   - imports: `{ local, imported, source, file, unused }` of used imports. imported is 'default' or '*' for default
+ *     and namespace imports, file is the resolved module path for local modules, unused is true if
+ *     it's not used outside of the element.
+ *   - key: the code of the `key` attribute of the element if exists.
+ * @alias module:refactor.analyzeJsxRange
+**/
+function analyzeJsxRange(filePath, start, end) {
+  const code = vio.getContent(filePath);
+  const range = {
+    start: start + (code.slice(start, end).length - _.trimStart(code.slice(start, end)).length),
+    end: start + _.trimEnd(code.slice(start, end)).length,
+  };
+
+  let elementPath = null;
+  traverse(vio.getAst(filePath), {
+    JSXElement(path) {
+      if (path.node.start === range.start && path.node.end === range.end) {
+        elementPath = path;
+        path.stop();
+      }
+    },
+  });
+  if (!elementPath) {
+    utils.fatalError('The selected range should be exactly one JSX element.');
+  }
+
+  const props = [];
+  const imports = [];
+  const thisMembers = [];
+  const bindings = {};
+  elementPath.traverse({
+    ThisExpression(path) {
+      if (!path.parentPath.isMemberExpression() || path.parent.computed || path.parent.object !== path.node) {
+        utils.fatalError('Failed to extract the JSX element: `this` is used without member access.');
+      }
+      thisMembers.push(getPropName(path.parentPath));
+    },
+    Identifier(path) {
+      if (path.isBindingIdentifier()) bindings[path.node.name] = true;
+    },
+    ReferencedIdentifier(path) {
+      const node = path.node;
+      // JSX attribute names and intrinsic elements like <div> are not references
+      if (node.type === 'JSXIdentifier' && !path.parentPath.isJSXOpeningElement()
+        && !path.parentPath.isJSXClosingElement() && !(path.parentPath.isJSXMemberExpression() && path.parent.object === node)) return;
+      const binding = path.scope.getBinding(node.name);
+      if (!binding || isInRange(binding.identifier, range)) return;
+      const specifier = binding.path.node;
+      // Aliased imports are passed as props since addImportFrom doesn't support aliases
+      if (binding.kind === 'module' && !(specifier.type === 'ImportSpecifier' && specifier.imported.name !== node.name)) {
+        if (_.find(imports, { local: node.name })) return;
+        const source = binding.path.parent.source.value;
+        const isLocal = common.isLocalModule(source);
+        imports.push({
+          local: node.name,
+          imported: { ImportDefaultSpecifier: 'default', ImportNamespaceSpecifier: '*' }[specifier.type] || specifier.imported.name,
+          source,
+          file: isLocal ? common.resolveModulePath(filePath, source) : null,
+          unused: binding.referencePaths.every(p => isInRange(p.node, range)),
+        });
+        return;
+      }
+      if (!_.find(props, { name: node.name })) props.push({ name: node.name, value: node.name });
+    },
+  });
+
+  // Identifiers keep their names, so members of `this` get a unique prop name if the name is already used,
+  // e.g. this.state.name and a local variable name are passed as name and name2.
+  const isUsed = name => _.find(props, { name }) || _.find(imports, { local: name }) || bindings[name];
+  const changes = thisMembers.map((member) => {
+    const value = code.slice(member.node.start, member.node.end);
+    let prop = _.find(props, { value });
+    if (!prop) {
+      let name = member.name;
+      for (let i = 2; isUsed(name); i += 1) name = `${member.name}${i}`;
+      prop = { name, value };
+      props.push(prop);
+    }
+    return { start: member.node.start, end: member.node.end, replacement: prop.name };
+  });
+
+  const node = elementPath.node;
+  const keyAttr = _.find(node.openingElement.attributes, a => a.type === 'JSXAttribute' && _.get(a, 'name.name') === 'key');
+  const indent = getIndent(code, node.start);
+  const elementCode = common.updateSourceCode(code.slice(0, node.end), changes).slice(node.start);
+  return {
+    start: node.start,
+    end: node.end,
+    code: elementCode.split('\n').map((line, i) => (i > 0 ? line.replace(new RegExp(`^ {0,${indent}}`), '') : line)).join('\n'),
+    props: _.sortBy(props, 'name'),
+    imports,
+    key: keyAttr && keyAttr.value ? code.slice(keyAttr.value.start, keyAttr.value.end) : null,
+  };
+}
+
+module.exports = {
+  analyzeJsxRange,
+};
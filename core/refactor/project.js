@@ -0,0 +1,306 @@
+'use strict';
+
+const mPath = require('path');
+const _ = require('lodash');
+const traverse = require('babel-traverse').default;
+const utils = require('../utils');
+const vio = require('../vio');
+const common = require('./common');
+const identifier = require('./identifier');
+const importExport = require('./importExport');
+
+function getProjectJsFiles() {
+  // app depends on refactor, so it's required when used
+  const app = require('../app');
+  const prjRoot = utils.getProjectRoot();
+  return _.flatten(['src', 'tests'].map(dir => app.findJsFiles(utils.joinPath(prjRoot, dir)))).sort();
+}
+
+function tryGetAst(file) {
+  // Summary:
+  //  Parse a module, returns null if it fails so that a module with unsupported syntax doesn't break the refactoring.
+  try {
+    return vio.getAst(file);
+  } catch (e) {
+    utils.warn(`Warning: ${file} is skipped. ${e.message}`);
+    return null;
+  }
+}
+
+function resolveModuleFile(contextFile, moduleSource) {
+  // Summary:
+  //  Resolve a module source to the js file, returns null if it's not a local module or doesn't exist.
+  if (!moduleSource || !common.isLocalModule(moduleSource)) return null;
+  const resolved = common.resolveModulePath(contextFile, moduleSource);
+  return _.find([resolved, `${resolved}.js`, `${resolved}/index.js`], f => /\.js$/.test(f) && vio.fileExists(f)) || null;
+}
+
+function isModuleOf(contextFile, moduleSource, file) {
+  // Summary:
+  //  Check if a module source refers to the file. Unlike resolveModuleFile, the file doesn't need to exist,
+  //  so it works for modules which have been moved.
+  if (!moduleSource || !common.isLocalModule(moduleSource)) return false;
+  const resolved = common.resolveModulePath(contextFile, moduleSource);
+  return _.includes([resolved, `${resolved}.js`, `${resolved}/index.js`], file);
+}
+
+function isDefaultExport(ast, name) {
+  // Check if the default export of a module is the declaration or identifier of the name.
+  const node = _.find(ast.program.body, { type: 'ExportDefaultDeclaration' });
+  const decl = node && node.declaration;
+  return !!decl && (_.get(decl, 'id.name') === name || _.get(decl, 'name') === name);
+}
+
+function renameChange(node, newName) {
+  return { start: node.start, end: node.end, replacement: newName };
+}
+
+/**
+ * Find modules under `src` and `tests` which mention any of the names, e.g. the name or the file name of an element,
+ * so that they may import it. Only modules mentioning the names are parsed, those failed to parse are skipped.
+ * It's used to find modules to update by `refactor.updateMovedImports` before an element is moved.
+ * @param {Array} names - Names to search.
+ * @returns {Array} Full paths of the modules.
+ * @alias module:refactor.findModulesMentioning
+ * @example
+ * const refactor = require('rekit-core').refactor;
+ * refactor.findModulesMentioning(['TopicList']);
+ * // => ['/path/to/src/features/home/TopicList.js', '/path/to/src/features/home/index.js', ...]
+**/
+function findModulesMentioning(names) {
+  return getProjectJsFiles().filter((file) => {
+    const content = vio.getContent(file);
+    return names.some(name => _.includes(content, name)) && !!tryGetAst(file);
+  });
+}
+
+/**
+ * Rename an identifier exported by a module, and update all modules under `src` and `tests` which import it.
+ * Modules are resolved by `refactor.resolveModulePath`, so imports by module-resolver aliases are also updated.
+ * It renames:
+ *  - the definition and references in the module, like `refactor.renameIdentifier`.
+ *  - re-exports by entries such as `export { default as TopicList } from './TopicList';` in a feature's index.js,
+ *    then importers of the entry are also updated.
+ *  - import specifiers, also local names with references including JSX like `<TopicList />` if not aliased.
+ *  - member access of namespace imports like `home.TopicList` or `<home.TopicList />`.
+ *
+ * @param {string} filePath - The module which defines the identifier.
+ * @param {string} oldName - The old identifier name.
+ * @param {string} newName - The new identifier name.
+ * @returns {Array} Files which are updated.
+ * @alias module:refactor.renameIdentifierInProject
+ * @example
+ * const refactor = require('rekit-core').refactor;
+ * refactor.renameIdentifierInProject('/path/to/src/features/home/TopicList.js', 'TopicList', 'TopicGrid');
+ * // src/features/home/index.js: export { default as TopicGrid } from './TopicGrid';
+ * // src/features/topic/Page.js: import { TopicGrid } from '../home'; ... <TopicGrid />
+**/
+function renameIdentifierInProject(filePath, oldName, newName) {
+  // Only modules mentioning the old name could be changed
+  const files = _.union(findModulesMentioning([oldName]), [filePath]);
+
+  // Modules which export the old name, including entries re-exporting it from other renamed modules.
+  const renamedModules = { [filePath]: true };
+  const defaultModules = isDefaultExport(vio.getAst(filePath), oldName) ? { [filePath]: true } : {};
+  const reExports = file => !renamedModules[file] && vio.getAst(file).program.body.some((node) => {
+    if (node.type !== 'ExportNamedDeclaration' || !node.source) return false;
+    const target = resolveModuleFile(file, node.source.value);
+    return renamedModules[target] && node.specifiers.some(s => s.exported.name === oldName
+      && (s.local.name === oldName || (s.local.name === 'default' && defaultModules[target])));
+  });
+  let added;
+  do {
+    added = files.filter(reExports);
+    added.forEach((file) => {
+      renamedModules[file] = true;
+    });
+  } while (added.length);
+
+  const updated = [];
+  files.forEach((file) => {
+    const ast = vio.getAst(file);
+    let changes = [];
+    if (file === filePath) {
+      changes = changes.concat(identifier.renameIdentifier(ast, oldName, newName) || []);
+    }
+    traverse(ast, {
+      ExportNamedDeclaration(path) {
+        const target = resolveModuleFile(file, _.get(path, 'node.source.value'));
+        if (!renamedModules[target]) return;
+        path.node.specifiers.forEach((s) => {
+          if (s.local.name === oldName) changes.push(renameChange(s.local, newName));
+          if (s.exported.name === oldName) changes.push(renameChange(s.exported, newName));
+        });
+      },
+      ImportDeclaration(path) {
+        const target = resolveModuleFile(file, path.node.source.value);
+        if (!renamedModules[target]) return;
+        path.node.specifiers.forEach((s) => {
+          const local = s.local.name;
+          if (s.type === 'ImportNamespaceSpecifier') {
+            const renameMember = (p) => {
+              const node = p.node;
+              if (!node.computed && _.get(node, 'object.name') === local && _.get(node, 'property.name') === oldName) {
+                changes.push(renameChange(node.property, newName));
+              }
+            };
+            path.parentPath.traverse({
+              MemberExpression: renameMember,
+              JSXMemberExpression: renameMember,
+            });
+            return;
+          }
+          const isImported = s.type === 'ImportSpecifier'
+            ? s.imported.name === oldName
+            : defaultModules[target] && local === oldName;
+          if (!isImported) return;
+          if (s.type === 'ImportSpecifier') changes.push(renameChange(s.imported, newName));
+          if (local === oldName) changes = changes.concat(identifier.renameIdentifier(ast, oldName, newName, s.local));
+        });
+      },
+    });
+    if (changes.length) {
+      common.updateFile(file, changes);
+      updated.push(file);
+    }
+  });
+  return updated;
+}
+
+/**
+ * Get the module source for importing a module from another one. A feature's index.js is imported by the feature folder.
+ * @param {string} contextFile - The module which imports the target.
+ * @param {string} targetFile - The module to import.
+ * @param {boolean} [useAlias] - Use the alias of babel plugin module-resolver if any matches, otherwise it's relative.
+ * @alias module:refactor.getModuleSource
+ * @example
+ * const refactor = require('rekit-core').refactor;
+ * refactor.getModuleSource('/path/to/src/features/topic/Page.js', '/path/to/src/features/home/index.js'); // => '../home'
+**/
+function getModuleSource(contextFile, targetFile, useAlias) {
+  const target = targetFile.replace(/\.js$/, '').replace(/(src\/features\/[^/]+)\/index$/, '$1');
+  if (useAlias) {
+    const alias = common.getModuleResolverAlias();
+    const prjRoot = utils.getProjectRoot();
+    const key = _.find(_.keys(alias), k => _.startsWith(`${target}/`, `${utils.joinPath(prjRoot, alias[k])}/`));
+    if (key) return `${key}/${mPath.relative(utils.joinPath(prjRoot, alias[key]), target)}`;
+  }
+  const source = mPath.relative(mPath.dirname(contextFile), target);
+  return /^\./.test(source) ? source : `./${source}`;
+}
+
+/**
+ * Update imports of a module after something it imports is moved to another place, e.g. a component or an action
+ * is moved to another feature. Both the module defining it and the entry re-exporting it could be imported:
+ *  - deep imports like `import Foo from '../home/Foo';` get the new module source.
+ *  - named imports from the entry like `import { Foo } from '../home';` are imported from the new entry.
+ *  - for namespace imports like `import * as actions from '../home/redux/actions';`, member access like
+ *    `actions.fetchFoo` or `<home.Foo />` is replaced by a named import from the new entry,
+ *    and `fetchFoo` is added to objects spreading the namespace like `bindActionCreators({ ...actions }, dispatch)`.
+ *
+ * If the name is changed, references in the module are renamed too. The module should be found before the move
+ * by `refactor.findModulesMentioning`, since the old module doesn't exist anymore after that.
+ *
+ * @param {string} filePath - The module which imports the moved one.
+ * @param {object} from - The old place in form of `{ file, entry, name }`, file is the module defining it,
+ *   entry is the module re-exporting it such as the feature's index.js or redux/actions.js, name is the exported name.
+ * @param {object} to - The new place in the same form.
+ * @returns {boolean} Whether the module is updated.
+ * @alias module:refactor.updateMovedImports
+ * @example
+ * const refactor = require('rekit-core').refactor;
+ * refactor.updateMovedImports('/path/to/src/features/topic/Page.js', {
+ *   file: '/path/to/src/features/home/TopicList.js',
+ *   entry: '/path/to/src/features/home/index.js',
+ *   name: 'TopicList',
+ * }, {
+ *   file: '/path/to/src/features/admin/TopicList.js',
+ *   entry: '/path/to/src/features/admin/index.js',
+ *   name: 'TopicList',
+ * });
+ * // import { TopicList } from '../home'; => import { TopicList } from '../admin';
+**/
+function updateMovedImports(filePath, from, to) {
+  const ast = vio.getAst(filePath);
+  let changes = [];
+  let entrySource = null;
+
+  const renameLocal = (s, excluded) => {
+    if (s.local.name === to.name) return;
+    // References inside the excluded node are not renamed, e.g. the import declaration which is regenerated
+    changes = changes.concat((identifier.renameIdentifier(ast, s.local.name, to.name, s.local) || [])
+      .filter(c => !excluded || c.end <= excluded.start || c.start >= excluded.end));
+  };
+  const renameSource = (node, newSource) => {
+    changes.push({ start: node.source.start + 1, end: node.source.end - 1, replacement: newSource });
+  };
+
+  traverse(ast, {
+    ImportDeclaration(p) {
+      const node = p.node;
+      const useAlias = !/^\./.test(node.source.value);
+      if (isModuleOf(filePath, node.source.value, from.file)) {
+        renameSource(node, getModuleSource(filePath, to.file, useAlias));
+        node.specifiers.forEach((s) => {
+          if (s.type === 'ImportSpecifier' && s.imported.name === from.name) changes.push(renameChange(s.imported, to.name));
+          // Aliased local names are kept
+          if (s.type !== 'ImportNamespaceSpecifier' && s.local.name === from.name) renameLocal(s);
+        });
+        return;
+      }
+      if (!isModuleOf(filePath, node.source.value, from.entry)) return;
+
+      const newSource = getModuleSource(filePath, to.entry, useAlias);
+      node.specifiers.forEach((s) => {
+        if (s.type === 'ImportNamespaceSpecifier') {
+          const ns = s.local.name;
+          let used = false;
+          const replaceMember = (mp) => {
+            const n = mp.node;
+            if (!n.computed && _.get(n, 'object.name') === ns && _.get(n, 'property.name') === from.name) {
+              changes.push(renameChange(n, to.name));
+              used = true;
+            }
+          };
+          p.parentPath.traverse({
+            MemberExpression: replaceMember,
+            JSXMemberExpression: replaceMember,
+            SpreadProperty(sp) {
+              if (_.get(sp, 'node.argument.name') !== ns) return;
+              const end = _.last(sp.parent.properties).end;
+              changes.push({ start: end, end, replacement: `, ${to.name}` });
+              used = true;
+            },
+          });
+          if (used) entrySource = newSource;
+          return;
+        }
+        if (s.type !== 'ImportSpecifier' || s.imported.name !== from.name) return;
+        if (node.specifiers.length === 1) {
+          // Only the moved one is imported, just update the import declaration
+          renameSource(node, newSource);
+          changes.push(renameChange(s.imported, to.name));
+          if (s.local.name === from.name) renameLocal(s);
+        } else {
+          // The alias is not supported by addImportFrom, so the local name is always the new name.
+          // Remove the specifier first since renameIdentifier also renames nodes of the ast.
+          changes = changes.concat(importExport.removeImportSpecifier(ast, s.local.name));
+          entrySource = newSource;
+          renameLocal(s, node);
+        }
+      });
+    },
+  });
+
+  if (changes.length) common.updateFile(filePath, changes);
+  // Add the import after other changes are applied, otherwise it may conflict with changes at the same position
+  if (entrySource) common.updateFile(filePath, ast2 => importExport.addImportFrom(ast2, entrySource, null, to.name));
+  return !!(changes.length || entrySource);
+}
+
+module.exports = {
+  findModulesMentioning,
+  renameIdentifierInProject,
+  updateMovedImports,
+  getModuleSource,
+};
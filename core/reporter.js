@@ -0,0 +1,129 @@
+/* eslint no-console: 0 */
+
+'use strict';
+
+/**
+ * Reporters output messages and flush results of vio. The built-in reporters are:
+ *  - text: colored human readable output, it's the default one.
+ *  - json: one JSON object per line, so that IDE integrations could consume it.
+ *  - silent: no output at all.
+ *
+ * A custom reporter is an object with `message(label, text, color)` and `flushResult(result)` methods.
+ * Nothing is output if `utils.setSilent(true)` is called, whatever the reporter is.
+ * @module
+**/
+
+const _ = require('lodash');
+const colors = require('colors/safe');
+const utils = require('./utils');
+
+function printDiff(diff) {
+  diff.forEach((line) => {
+    if (line.added) {
+      line.value.split('\n').forEach(l => l && console.log(colors.green(' +++ ') + colors.gray(l)));
+    } else if (line.removed) {
+      line.value.split('\n').forEach(l => l && console.log(colors.red(' --- ') + colors.gray(l)));
+    }
+  });
+}
+
+const textReporter = {
+  name: 'text',
+  message(label, text, color) {
+    console.log(colors[color || 'reset'](label + text));
+  },
+  flushResult(result) {
+    const print = (label, color, entry) => textReporter.message(label, entry.file + (entry.to ? ` to ${entry.to}` : ''), color);
+    result.conflicts.forEach((c) => {
+      if (c.resolution === 'merged') print('Conflict: merged changes by others: ', 'yellow', c);
+      else if (c.reason === 'deleted') print('Conflict: file has been deleted by others: ', 'red', c);
+      else print('Conflict: file has been modified by others: ', 'red', c);
+    });
+    result.warnings.forEach((w) => {
+      print(`Warning: no ${w.type === 'mv-dir' ? 'dir' : 'file'} to ${w.type === 'del-file' ? 'delete' : 'move'}: `, 'yellow', w);
+    });
+    result.changes.forEach((c) => {
+      switch (c.type) {
+        case 'create-dir':
+        case 'create-file':
+          print('Created: ', 'blue', c);
+          break;
+        case 'update-file':
+          print('Updated: ', 'cyan', c);
+          printDiff(c.diff);
+          break;
+        case 'del-file':
+          print('Deleted: ', 'magenta', c);
+          break;
+        case 'mv-dir':
+          print('Moved dir: ', 'green', c);
+          break;
+        case 'mv-file':
+          print('Moved: ', 'green', c);
+          break;
+        default:
+          break;
+      }
+    });
+    if (!result.flushed) {
+      textReporter.message('Nothing is written because of conflicts.', '', 'red');
+    }
+  },
+};
+
+const jsonReporter = {
+  name: 'json',
+  message(label, text) {
+    console.log(JSON.stringify({ type: 'message', message: label + text }));
+  },
+  flushResult(result) {
+    console.log(JSON.stringify(_.assign({ type: 'flush-result' }, result)));
+  },
+};
+
+const silentReporter = {
+  name: 'silent',
+  message: _.noop,
+  flushResult: _.noop,
+};
+
+const reporters = {
+  text: textReporter,
+  json: jsonReporter,
+  silent: silentReporter,
+};
+
+let current = textReporter;
+
+/**
+ * Set the reporter for output.
+ * @param {string|Object} reporter - 'text', 'json', 'silent' or a custom reporter object.
+ * @alias module:reporter.setReporter
+ *
+ * @example
+ * const rekitCore = require('rekit-core');
+ * rekitCore.reporter.setReporter('json');
+ * rekitCore.addComponent('home', 'hello');
+ * rekitCore.vio.flush();
+ * // => {"type":"flush-result","version":1,"flushed":true,"changes":[...],...}
+**/
+function setReporter(reporter) {
+  if (_.isString(reporter)) {
+    if (!reporters[reporter]) utils.fatalError(`Unknown reporter: ${reporter}`);
+    reporter = reporters[reporter];
+  }
+  current = reporter;
+}
+
+/**
+ * Get the reporter for output, it's the silent reporter if `utils.setSilent(true)` is called.
+ * @alias module:reporter.getReporter
+**/
+function getReporter() {
+  return utils.isSilent() ? silentReporter : current;
+}
+
+module.exports = {
+  setReporter,
+  getReporter,
+};
@@ -5,11 +5,12 @@
  * @module
 **/
 
+const fs = require('fs');
 const path = require('path');
 const _ = require('lodash');
-const shell = require('shelljs');
 const vio = require('./vio');
 const utils = require('./utils');
+const backend = require('./backend');
 
 // Make sure it works in template
 _.pascalCase = _.flow(_.camelCase, _.upperFirst);
@@ -23,8 +24,11 @@ _.upperSnakeCase = _.flow(_.snakeCase, _.toUpper);
  * @alias module:template.readTemplate
 **/
 function readTemplate(file) {
-  file = path.isAbsolute(file) ? file : utils.joinPath(__dirname, '../templates', file);
-  if (!shell.test('-e', file) && !vio.fileExists(file)) {
+  if (!path.isAbsolute(file)) {
+    // Built-in templates are part of rekit-core rather than the project, so always read them from the disk.
+    return fs.readFileSync(utils.joinPath(__dirname, '../templates', file), 'utf8');
+  }
+  if (!backend.exists(file) && !vio.fileExists(file)) {
     utils.fatalError('Template file does\'t exist: ', file);
   }
   return vio.getContent(file);
@@ -54,7 +58,7 @@ function generate(targetPath, args) {
   if (!args.templateFile && !args.content && !args.template) {
     utils.fatalError('No template for generating' + targetPath + '.');
   }
-  if (!args.force && (vio.fileExists(targetPath) || shell.test('-e', targetPath))) {
+  if (!args.force && (vio.fileExists(targetPath) || backend.exists(targetPath))) {
     utils.fatalError(`File already exists: ${targetPath}.`);
   }
 
@@ -9,8 +9,8 @@
 
 const path = require('path');
 const _ = require('lodash');
-const shell = require('shelljs');
 const colors = require('colors/safe');
+const backend = require('./backend');
 
 let silent = false;
 
@@ -20,13 +20,21 @@ _.upperSnakeCase = _.flow(_.snakeCase, _.toUpper);
 
 /**
  * Don't output any logs.
- * @param {boolean} isSilent - Whether to output logs.
+ * @param {boolean} value - Whether to disable logs.
 
  * @alias module:utils.setSilent
  *
 **/
-function setSilent(isSilent) {
-  silent = isSilent;
+function setSilent(value) {
+  silent = value;
+}
+
+/**
+ * Whether logs are disabled by setSilent.
+ * @alias module:utils.isSilent
+**/
+function isSilent() {
+  return silent;
 }
 
 /**
@@ -79,6 +87,7 @@ function fatalError(msg) {
 }
 
 let prjRoot;
+let pkgJson = null;
 
 /**
  * By default Rekit will try to find the current Rekit project root. But you can also manually set it by calling this method.
@@ -87,6 +96,7 @@ let prjRoot;
 function setProjectRoot(root) {
   prjRoot = /\/$/.test(root) ? root : (root + '/');
   prjRoot = joinPath(prjRoot);
+  pkgJson = null;
 }
 
 /**
@@ -99,7 +109,7 @@ function getProjectRoot() {
     // Traverse above until find the package.json.
     while (cwd && lastDir !== cwd) {
       const pkgPath = joinPath(cwd, 'package.json');
-      if (shell.test('-e', pkgPath) && require(pkgPath).rekit) { // eslint-disable-line
+      if (backend.exists(pkgPath) && JSON.parse(backend.readFile(pkgPath)).rekit) {
         prjRoot = cwd;
         break;
       }
@@ -110,7 +120,6 @@ function getProjectRoot() {
   return joinPath(/\/$/.test(prjRoot) ? prjRoot : (prjRoot + '/'));
 }
 
-let pkgJson = null;
 /**
  * Get the current project's package.json.
 **/
@@ -118,7 +127,7 @@ function getPkgJson() {
   // Get the project package json
   if (!pkgJson) {
     const pkgJsonPath = joinPath(getProjectRoot(), 'package.json');
-    pkgJson = require(pkgJsonPath);
+    pkgJson = JSON.parse(backend.readFile(pkgJsonPath));
   }
   return pkgJson;
 }
@@ -131,6 +140,16 @@ function setPkgJson(obj) {
   pkgJson = obj;
 }
 
+// Used by context to switch the project root between projects.
+function getState() {
+  return { prjRoot, pkgJson };
+}
+
+function setState(state) {
+  prjRoot = state ? state.prjRoot : undefined;
+  pkgJson = state ? state.pkgJson : null;
+}
+
 /**
  * Get the relative path to the project root by given full path.
  * @param {string} fullPath - A full path string.
@@ -232,12 +251,12 @@ function mapComponentTestFile(feature, name) {
 }
 
 function getFeatures() {
-  return _.toArray(shell.ls(joinPath(getProjectRoot(), 'src/features')));
+  return backend.ls(joinPath(getProjectRoot(), 'src/features'));
 }
 
 function getCssExt() {
   const pkgPath = joinPath(getProjectRoot(), 'package.json');
-  const pkg = require(pkgPath); // eslint-disable-line
+  const pkg = JSON.parse(backend.readFile(pkgPath));
   return (pkg && pkg.rekit && pkg.rekit.css === 'sass') ? 'scss' : 'less';
 }
 
@@ -272,9 +291,12 @@ module.exports = {
   getFeatures,
   fatalError,
   setSilent,
+  isSilent,
   log,
   warn,
   error,
 
   getFeatureName,
+  getState,
+  setState,
 };
@@ -2,17 +2,24 @@
 
 // Virtual IO, create, update and delete files in memory until flush to the disk.
 // NOTE: it only supports text files.
+// The disk is accessed by the backend module, so it could also be a virtual file system.
 
+const crypto = require('crypto');
 const path = require('path');
 const _ = require('lodash');
-const shell = require('shelljs');
 const jsdiff = require('diff');
-const colors = require('colors/safe');
 const babylon = require('babylon');
 const generate = require('babel-generator').default;
 const utils = require('./utils');
+const backend = require('./backend');
+const history = require('./history');
+const patch = require('./patch');
+const reporter = require('./reporter');
+const events = require('./events');
+const git = require('./git');
 
-const prjRoot = utils.getProjectRoot();
+// The version of the flush result schema, increase it when the schema changes.
+const FLUSH_RESULT_VERSION = 1;
 
 let toSave = {};
 let toDel = {};
@@ -21,26 +28,25 @@ let dirs = {};
 let asts = {};
 let mvs = {}; // Files to move
 let mvDirs = {}; // Folders to move
-
-function printDiff(diff) {
-  diff.forEach((line) => {
-    if (line.added) {
-      line.value.split('\n').forEach(l => l && console.log(colors.green(' +++ ') + colors.gray(l)));
-    } else if (line.removed) {
-      line.value.split('\n').forEach(l => l && console.log(colors.red(' --- ') + colors.gray(l)));
-    }
-  });
-}
+let fileStats = {}; // Disk state of files when they're read, used to detect changes by others before flush
 
 function log(label, color, filePath, toFilePath) {
+  const prjRoot = utils.getProjectRoot();
   const p = filePath.replace(prjRoot, '');
   const to = toFilePath ? toFilePath.replace(prjRoot, '') : '';
-  console.log(colors[color](label + p + (to ? (' to ' + to) : '')));
+  reporter.getReporter().message(label, p + (to ? (' to ' + to) : ''), color);
 }
 
 function mapPathAfterMvDir() {
 
 }
+function getDiskStat(filePath, content) {
+  return {
+    mtime: backend.stat(filePath).mtime,
+    hash: crypto.createHash('md5').update(content).digest('hex'),
+  };
+}
+
 function getLines(filePath) {
   if (_.isArray(filePath)) {
     // If it's already lines, return the arg.
@@ -57,10 +63,15 @@ function getLines(filePath) {
       }
     });
 // console.log('real file path: ', Object.keys(fileLines), realFilePath);
-    if (!shell.test('-e', realFilePath)) {
+    if (!backend.exists(realFilePath)) {
       utils.fatalError('Can\'t find such file: ' + realFilePath);
     }
-    fileLines[filePath] = shell.cat(realFilePath).split(/\r?\n/);
+    const content = backend.readFile(realFilePath);
+    fileLines[filePath] = content.split(/\r?\n/);
+    fileStats[filePath] = Object.assign({
+      file: realFilePath,
+      base: fileLines[filePath].join('\n'),
+    }, getDiskStat(realFilePath, content));
   }
   return fileLines[filePath];
 }
@@ -101,7 +112,7 @@ function getAst(filePath) {
 }
 
 function fileExists(filePath) {
-  return (!!fileLines[filePath] || !!toSave[filePath]) && !toDel[filePath] || shell.test('-e', filePath);
+  return (!!fileLines[filePath] || !!toSave[filePath]) && !toDel[filePath] || backend.exists(filePath);
 }
 
 function fileNotExists(filePath) {
@@ -109,7 +120,7 @@ function fileNotExists(filePath) {
 }
 
 function dirExists(dir) {
-  return !!dirs[dir] && !toDel[dir] || shell.test('-e', dir);
+  return !!dirs[dir] && !toDel[dir] || backend.exists(dir);
 }
 
 function dirNotExists(dir) {
@@ -117,8 +128,8 @@ function dirNotExists(dir) {
 }
 
 function ensurePathDir(fullPath) {
-  if (!shell.test('-e', path.dirname(fullPath))) {
-    shell.mkdir('-p', path.dirname(fullPath));
+  if (!backend.exists(path.dirname(fullPath))) {
+    backend.mkdirp(path.dirname(fullPath));
   }
 }
 
@@ -137,6 +148,7 @@ function save(filePath, lines) {
     put(filePath, lines);
   }
   toSave[filePath] = true;
+  events.emit('file:save', { file: filePath });
 }
 
 function saveAst(filePath, ast) {
@@ -146,12 +158,12 @@ function saveAst(filePath, ast) {
 }
 
 function move(oldPath, newPath) {
-  if (toDel[oldPath] || (!fileExists(oldPath) && !shell.test('-e', oldPath))) {
+  if (toDel[oldPath] || (!fileExists(oldPath) && !backend.exists(oldPath))) {
     log('Error: no file to move: ', 'red', oldPath);
     throw new Error('No file to move');
   }
 
-  if (shell.test('-e', newPath) || fileExists(newPath)) {
+  if (backend.exists(newPath) || fileExists(newPath)) {
     log('Error: target file already exists: ', 'red', newPath);
     throw new Error('Target file already exists');
   }
@@ -166,6 +178,11 @@ function move(oldPath, newPath) {
     delete asts[oldPath];
   }
 
+  if (fileStats[oldPath]) {
+    fileStats[newPath] = fileStats[oldPath];
+    delete fileStats[oldPath];
+  }
+
   if (toSave[oldPath]) {
     toSave[newPath] = true;
     delete toSave[oldPath];
@@ -175,8 +192,8 @@ function move(oldPath, newPath) {
     delete toDel[oldPath];
   }
   // if the file has already been moved
-  oldPath = _.findKey(mvs, s => s === oldPath) || oldPath;
-  mvs[oldPath] = newPath;
+  mvs[_.findKey(mvs, s => s === oldPath) || oldPath] = newPath;
+  events.emit('file:move', { from: oldPath, to: newPath });
 }
 
 function moveDir(oldPath, newPath) {
@@ -196,6 +213,7 @@ function moveDir(oldPath, newPath) {
   updateKeys(fileLines);
   updateKeys(dirs);
   updateKeys(asts);
+  updateKeys(fileStats);
   updateKeys(mvs);
 
   const invertedMvs = _.invert(mvs);
@@ -203,6 +221,7 @@ function moveDir(oldPath, newPath) {
   mvs = _.invert(invertedMvs);
 
   mvDirs[oldPath] = newPath;
+  events.emit('dir:move', { from: oldPath, to: newPath });
 }
 
 function ls(folder) {
@@ -212,7 +231,7 @@ function ls(folder) {
 
   let diskFiles = [];
   let realFolder = folder;
-  if (!shell.test('-e', realFolder)) {
+  if (!backend.exists(realFolder)) {
     // it may be moved
     _.forOwn(mvDirs, (value, key) => {
       if (_.startsWith(folder, value)) {
@@ -222,8 +241,8 @@ function ls(folder) {
       return true;
     });
   }
-  if (shell.test('-e', realFolder)) {
-    diskFiles = shell.ls(realFolder).map(f => utils.joinPath(folder, f));
+  if (backend.exists(realFolder)) {
+    diskFiles = backend.ls(realFolder).map(f => utils.joinPath(folder, f)).filter(f => !toDel[f]);
   }
   const memoFiles = Object.keys(toSave).filter(file => _.startsWith(file, folder) && !toDel[file]);
   return _.union(diskFiles, memoFiles);
@@ -231,6 +250,7 @@ function ls(folder) {
 
 function del(filePath) {
   toDel[filePath] = true;
+  events.emit('file:delete', { file: filePath });
 }
 
 function reset() {
@@ -241,115 +261,738 @@ function reset() {
   asts = {};
   mvs = {};
   mvDirs = {};
+  fileStats = {};
+  git.clearCommands();
 }
 
-function flush() {
-  const res = [];
-  Object.keys(dirs).forEach((dir) => {
-    if (!shell.test('-e', dir)) {
-      shell.mkdir('-p', dir);
-      log('Created: ', 'blue', dir);
-      res.push({
-        type: 'create-dir',
-        file: dir.replace(prjRoot, ''),
-      });
+// Used by context to switch the virtual IO state between projects.
+function getState() {
+  return { toSave, toDel, fileLines, dirs, asts, mvs, mvDirs, fileStats };
+}
+
+function setState(state) {
+  if (!state) {
+    reset();
+    return;
+  }
+  toSave = state.toSave;
+  toDel = state.toDel;
+  fileLines = state.fileLines;
+  dirs = state.dirs;
+  asts = state.asts;
+  mvs = state.mvs;
+  mvDirs = state.mvDirs;
+  fileStats = state.fileStats;
+}
+
+function readContents(filePath) {
+  // Summary:
+  //  Read a file or a whole folder before it's deleted so that it could be restored.
+  //  Text files are kept as utf8 string, others are kept as base64.
+  const contents = {};
+  if (!backend.exists(filePath)) return contents;
+  if (backend.isDirectory(filePath)) {
+    contents[filePath] = { dir: true };
+    backend.readdir(filePath).forEach((f) => {
+      Object.assign(contents, readContents(utils.joinPath(filePath, f)));
+    });
+  } else {
+    const buf = backend.readBuffer(filePath);
+    const text = buf.toString('utf8');
+    if (Buffer.from(text, 'utf8').equals(buf)) {
+      contents[filePath] = { content: text };
+    } else {
+      contents[filePath] = { content: buf.toString('base64'), encoding: 'base64' };
     }
+  }
+  return contents;
+}
+
+function hasFiles(dir) {
+  // Check if there are files in a folder or its sub folders.
+  return backend.readdir(dir).some((name) => {
+    const file = utils.joinPath(dir, name);
+    return backend.isDirectory(file) ? hasFiles(file) : true;
   });
+}
 
-  // Move directories
-  Object.keys(mvDirs).forEach((oldDir) => {
-    if (!shell.test('-e', oldDir)) {
-      log('Warning: no dir to move: ', 'yellow', oldDir);
-      res.push({
-        type: 'mv-file-warning',
-        warning: 'no-file',
-        file: oldDir.replace(prjRoot, ''),
-      });
-    } else {
-      shell.mv(oldDir, mvDirs[oldDir]);
-      log('Moved dir: ', 'green', oldDir, mvDirs[oldDir]);
-      res.push({
-        type: 'mv-file',
-        file: oldDir.replace(prjRoot, ''),
+function mkdirp(dir, journal) {
+  // Summary:
+  //  Create a dir and all its missing parents, record the top most new one so that it could be reverted.
+  let topDir = null;
+  let d = dir;
+  while (!backend.exists(d)) {
+    topDir = d;
+    const parent = path.dirname(d);
+    if (parent === d) break;
+    d = parent;
+  }
+  if (!topDir) return false;
+  backend.mkdirp(dir);
+  journal.push({ type: 'create-dir', dir: topDir });
+  return true;
+}
+
+// A change is a reversible step applied to the disk, it's used for flush rollback and history:
+//  { type: 'create-dir', dir }
+//  { type: 'remove-dir', dir } the inverse of create-dir, the folder is kept if files are added into it by others
+//  { type: 'move', from, to }
+//  { type: 'delete', file, contents } contents is filled when the change is applied
+//  { type: 'restore', file, contents } the inverse of delete
+//  { type: 'save', file, oldContent, newContent } null content means the file doesn't exist
+function applyChange(change, journal, useGit) {
+  // Summary:
+  //  Apply a change to the disk. If useGit, tracked files are moved and deleted by git.
+  switch (change.type) {
+    case 'create-dir':
+      mkdirp(change.dir, journal);
+      break;
+    case 'remove-dir':
+      if (!backend.exists(change.dir) || hasFiles(change.dir)) break;
+      backend.remove(change.dir);
+      journal.push(change);
+      break;
+    case 'move':
+      mkdirp(path.dirname(change.to), journal);
+      if (useGit && git.isTracked(change.from)) git.mv(change.from, change.to);
+      else backend.move(change.from, change.to);
+      journal.push(change);
+      break;
+    case 'delete': {
+      if (!backend.exists(change.file)) break;
+      const contents = readContents(change.file);
+      if (useGit && git.isTracked(change.file)) git.rm(change.file);
+      // Untracked files are not deleted by git
+      if (backend.exists(change.file)) backend.remove(change.file);
+      journal.push({ type: 'delete', file: change.file, contents });
+      break;
+    }
+    case 'restore':
+      Object.keys(change.contents).sort().forEach((f) => {
+        const item = change.contents[f];
+        if (item.dir) {
+          mkdirp(f, journal);
+        } else {
+          mkdirp(path.dirname(f), journal);
+          backend.writeFile(f, Buffer.from(item.content, item.encoding || 'utf8'));
+        }
       });
+      journal.push(change);
+      break;
+    case 'save': {
+      const oldContent = backend.exists(change.file) ? backend.readFile(change.file) : null;
+      if (change.newContent === null) {
+        backend.remove(change.file);
+      } else {
+        mkdirp(path.dirname(change.file), journal);
+        backend.writeFile(change.file, change.newContent);
+      }
+      journal.push({ type: 'save', file: change.file, oldContent, newContent: change.newContent });
+      break;
+    }
+    default:
+      throw new Error(`Unknown change type: ${change.type}`);
+  }
+}
+
+function invertChange(change) {
+  switch (change.type) {
+    case 'create-dir':
+      return { type: 'remove-dir', dir: change.dir };
+    case 'remove-dir':
+      return { type: 'create-dir', dir: change.dir };
+    case 'move':
+      return { type: 'move', from: change.to, to: change.from };
+    case 'delete':
+      return { type: 'restore', file: change.file, contents: change.contents };
+    case 'restore':
+      return { type: 'delete', file: change.file };
+    case 'save':
+      return { type: 'save', file: change.file, oldContent: change.newContent, newContent: change.oldContent };
+    default:
+      throw new Error(`Unknown change type: ${change.type}`);
+  }
+}
+
+function rollback(journal) {
+  // Summary:
+  //  Revert applied changes in reverse order. Returns the errors of changes failed to revert.
+  const errors = [];
+  journal.slice().reverse().forEach((change) => {
+    try {
+      applyChange(invertChange(change), []);
+    } catch (e) {
+      errors.push(e);
     }
   });
+  return errors;
+}
 
-  // Delete files
-  Object.keys(toDel).forEach((filePath) => {
-    if (!shell.test('-e', filePath)) {
-      log('Warning: no file to delete: ', 'yellow', filePath);
-      res.push({
-        type: 'del-file-warning',
-        warning: 'no-file',
-        file: filePath.replace(prjRoot, ''),
-      });
+function getJournalFiles(journal) {
+  return _.uniq(_.flatten(journal.map(change => _.compact([change.file, change.dir, change.from, change.to]))));
+}
+
+function transact(func, useGit) {
+  // Summary:
+  //  Run disk operations as a transaction. func(tx) should apply changes by applyChange(change, tx.journal)
+  //  and set tx.step, tx.file before each step so that the error could tell where it fails.
+  //  If any step fails, all applied changes are reverted and an error with `step` and `file` properties is thrown.
+  //  If useGit, the git index of changed files is also reverted.
+  const tx = { journal: [], step: null, file: null };
+  try {
+    func(tx);
+  } catch (e) {
+    const rollbackErrors = rollback(tx.journal);
+    if (useGit) {
+      try {
+        git.resetIndex(getJournalFiles(tx.journal));
+      } catch (gitErr) {
+        rollbackErrors.push(gitErr);
+      }
+    }
+    let msg = `Failed to ${tx.step} ${(tx.file || '').replace(utils.getProjectRoot(), '')}: ${e.message}`;
+    if (rollbackErrors.length) {
+      msg += `\nFailed to rollback some changes: ${rollbackErrors.map(err => err.message).join('; ')}`;
     } else {
-      shell.rm('-rf', filePath);
-      log('Deleted: ', 'magenta', filePath);
-      res.push({
-        type: 'del-file',
-        file: filePath.replace(prjRoot, ''),
-      });
+      msg += '\nAll changes have been rolled back.';
+    }
+    utils.error(msg);
+    const err = new Error(msg);
+    err.step = tx.step;
+    err.file = tx.file;
+    throw err;
+  }
+  return tx.journal;
+}
+
+function listDiskFiles(filePath) {
+  // Summary:
+  //  List all files under a folder recursively, if it's a file, return itself.
+  if (!backend.exists(filePath)) return [];
+  if (!backend.isDirectory(filePath)) return [filePath];
+  return _.flatten(backend.readdir(filePath).map(f => listDiskFiles(utils.joinPath(filePath, f))));
+}
+
+function readDiskFile(filePath) {
+  const buf = backend.readBuffer(filePath);
+  const text = buf.toString('utf8');
+  if (!Buffer.from(text, 'utf8').equals(buf)) return { binary: true, content: null };
+  return { content: text.split(/\r?\n/).join('\n') };
+}
+
+/**
+ * Get what a flush will do to the disk as file level changes, without touching the disk.
+ * Folder moves are expanded to moves of each file under it. Paths are relative to the project root.
+ * @returns {Array} Changes in form of `{ type: 'create'|'update'|'delete'|'move', file, from, oldContent, newContent, binary }`.
+ * @alias module:vio.getPendingChanges
+**/
+function getPendingChanges() {
+  // Simulate the flush on a virtual view of the disk: overlay maps moved files' new path to their disk path.
+  const overlay = {};
+  const removedDisk = {};
+  const deleted = {};
+  const saved = {};
+
+  function filesUnder(p) {
+    const res = {}; // virtual path => disk path
+    listDiskFiles(p).forEach((f) => {
+      if (!removedDisk[f]) res[f] = f;
+    });
+    Object.keys(overlay).forEach((v) => {
+      if (v === p || _.startsWith(v, p + '/')) res[v] = overlay[v];
+    });
+    return res;
+  }
+
+  function moveVirtual(from, to) {
+    _.forOwn(filesUnder(from), (d, v) => {
+      delete overlay[v];
+      removedDisk[d] = true;
+      overlay[to + v.slice(from.length)] = d;
+    });
+  }
+
+  Object.keys(mvDirs).forEach(oldDir => moveVirtual(oldDir, mvDirs[oldDir]));
+  Object.keys(toDel).forEach((p) => {
+    _.forOwn(filesUnder(p), (d, v) => {
+      delete overlay[v];
+      removedDisk[d] = true;
+      deleted[d] = true;
+    });
+  });
+  Object.keys(mvs).forEach(from => moveVirtual(from, mvs[from]));
+  Object.keys(toSave).forEach((p) => {
+    const d = filesUnder(p)[p];
+    if (d) {
+      delete overlay[p];
+      removedDisk[d] = true;
     }
+    saved[p] = d || null;
   });
 
-  // Move files
-  Object.keys(mvs).forEach((filePath) => {
-    if (!shell.test('-e', filePath)) {
-      log('Warning: no file to move: ', 'yellow', filePath);
-      res.push({
-        type: 'mv-file-warning',
-        warning: 'no-file',
-        file: filePath.replace(prjRoot, ''),
-      });
-    } else {
-      ensurePathDir(mvs[filePath]);
-      shell.mv(filePath, mvs[filePath]);
-      log('Moved: ', 'green', filePath, mvs[filePath]);
-      res.push({
-        type: 'mv-file',
-        file: filePath.replace(prjRoot, ''),
-      });
+  const rel = utils.getRelativePath;
+  const changes = [];
+  Object.keys(deleted).forEach((d) => {
+    const old = readDiskFile(d);
+    changes.push({ type: 'delete', file: rel(d), oldContent: old.content, newContent: null, binary: old.binary });
+  });
+  Object.keys(overlay).forEach((v) => {
+    if (v === overlay[v]) return;
+    const old = readDiskFile(overlay[v]);
+    changes.push({ type: 'move', file: rel(v), from: rel(overlay[v]), oldContent: old.content, newContent: old.content, binary: old.binary });
+  });
+  Object.keys(saved).forEach((p) => {
+    const d = saved[p];
+    const newContent = getLines(p).join('\n');
+    if (!d) {
+      changes.push({ type: 'create', file: rel(p), oldContent: null, newContent });
+      return;
     }
+    const old = readDiskFile(d);
+    if (d === p && old.content === newContent) return;
+    changes.push({
+      type: d === p ? 'update' : 'move',
+      file: rel(p),
+      from: d === p ? undefined : rel(d),
+      oldContent: old.content,
+      newContent,
+      binary: old.binary,
+    });
   });
+  return _.sortBy(changes, 'file');
+}
 
-  // Create/update files
+/**
+ * Preview pending changes as a git style unified diff without touching the disk. It could be applied by `git apply`.
+ * @param {string} [patchFile] - If provided, also write the diff to this file.
+ * @returns {string} The unified diff.
+ * @alias module:vio.preview
+ *
+ * @example
+ * const rekitCore = require('rekit-core');
+ * rekitCore.moveComponent({ feature: 'home', name: 'TopicList' }, { feature: 'topic', name: 'TopicList' });
+ * rekitCore.vio.preview('move-topic-list.patch');
+**/
+function preview(patchFile) {
+  const res = patch.createPatch(getPendingChanges());
+  if (patchFile) {
+    backend.writeFile(patchFile, res);
+  }
+  return res;
+}
+
+function findConflicts(merge) {
+  // Summary:
+  //  Check if files to save have been changed by others since they were read.
+  //  If merge is true, try to 3-way merge the changes, otherwise the file is refused to be saved.
+  const res = [];
   Object.keys(toSave).forEach((filePath) => {
-    const newContent = getLines(filePath).join('\n');
-    if (shell.test('-e', filePath)) {
-      const oldContent = shell.cat(filePath).split(/\r?\n/).join('\n');
-      if (oldContent === newContent) {
-        // log('Warning: nothing is changed for: ', 'yellow', filePath);
-        // res.push({
-        //   type: 'update-file-warning',
-        //   warning: 'no-change',
-        //   file: filePath.replace(prjRoot, ''),
-        // });
-        return;
-      }
-      log('Updated: ', 'cyan', filePath);
-      const diff = jsdiff.diffLines(oldContent, newContent);
-      res.push({
-        type: 'update-file',
-        diff,
-        file: filePath.replace(prjRoot, ''),
-      });
-      printDiff(diff);
+    const stat = fileStats[filePath];
+    if (!stat) return;
+    const conflict = { file: utils.getRelativePath(filePath) };
+    if (!backend.exists(stat.file)) {
+      res.push(Object.assign(conflict, { reason: 'deleted', resolution: 'refused' }));
+      return;
+    }
+    if (backend.stat(stat.file).mtime === stat.mtime) return;
+    const content = backend.readFile(stat.file);
+    if (getDiskStat(stat.file, content).hash === stat.hash) return;
+
+    const merged = merge ? patch.merge3(stat.base, getContent(filePath), content.split(/\r?\n/).join('\n')) : null;
+    if (merged !== null) {
+      put(filePath, merged);
+      res.push(Object.assign(conflict, { reason: 'modified', resolution: 'merged' }));
     } else {
-      ensurePathDir(filePath);
-      log('Created: ', 'blue', filePath);
-      res.push({
-        type: 'create-file',
-        file: filePath.replace(prjRoot, ''),
-      });
+      res.push(Object.assign(conflict, { reason: 'modified', resolution: 'refused' }));
     }
-    shell.ShellString(newContent).to(filePath);
   });
+  return res;
+}
+
+function updateFileStats() {
+  // Summary:
+  //  After flush, saved files on the disk are the new base.
+  Object.keys(fileStats).forEach((filePath) => {
+    const stat = fileStats[filePath];
+    if (!backend.exists(filePath)) return;
+    stat.file = filePath;
+    if (toSave[filePath]) {
+      const content = backend.readFile(filePath);
+      Object.assign(stat, { base: content.split(/\r?\n/).join('\n') }, getDiskStat(filePath, content));
+    }
+  });
+}
+
+function countLines(diff, key) {
+  return _.sumBy(diff.filter(part => part[key]), 'count');
+}
+
+function summarize(result) {
+  const count = type => result.changes.filter(c => c.type === type).length;
+  return {
+    dirsCreated: count('create-dir'),
+    filesCreated: count('create-file'),
+    filesUpdated: count('update-file'),
+    filesDeleted: count('del-file'),
+    filesMoved: count('mv-file'),
+    dirsMoved: count('mv-dir'),
+    linesAdded: _.sumBy(result.changes, c => c.added || 0),
+    linesRemoved: _.sumBy(result.changes, c => c.removed || 0),
+    warnings: result.warnings.length,
+    conflicts: result.conflicts.length,
+  };
+}
+
+function flushChanges(args) {
+  // Summary:
+  //  Write changes to the disk, flush wraps it with events.
+  const prjRoot = utils.getProjectRoot();
+  const gitArgs = args.git === true ? {} : args.git;
+  if (gitArgs) git.assertReady(gitArgs.force);
+
+  const res = {
+    version: FLUSH_RESULT_VERSION,
+    flushed: false,
+    changes: [],
+    warnings: [],
+    conflicts: args.onConflict === 'overwrite' ? [] : findConflicts(args.onConflict === 'merge'),
+  };
+  if (res.conflicts.some(c => c.resolution === 'refused')) {
+    // Nothing is written if any file is changed by others, pending changes are kept.
+    res.summary = summarize(res);
+    reporter.getReporter().flushResult(res);
+    return res;
+  }
+
+  const journal = transact((tx) => {
+    function step(name, file, change) {
+      tx.step = name;
+      tx.file = file;
+      applyChange(change, tx.journal, !!gitArgs);
+    }
+
+    Object.keys(dirs).forEach((dir) => {
+      if (!backend.exists(dir)) {
+        step('create dir', dir, { type: 'create-dir', dir });
+        res.changes.push({
+          type: 'create-dir',
+          file: dir.replace(prjRoot, ''),
+        });
+      }
+    });
+
+    // Move directories
+    Object.keys(mvDirs).forEach((oldDir) => {
+      if (!backend.exists(oldDir)) {
+        res.warnings.push({
+          type: 'mv-dir',
+          warning: 'no-file',
+          file: oldDir.replace(prjRoot, ''),
+        });
+      } else {
+        step('move dir', oldDir, { type: 'move', from: oldDir, to: mvDirs[oldDir] });
+        res.changes.push({
+          type: 'mv-dir',
+          file: oldDir.replace(prjRoot, ''),
+          to: mvDirs[oldDir].replace(prjRoot, ''),
+        });
+      }
+    });
+
+    // Delete files
+    Object.keys(toDel).forEach((filePath) => {
+      if (!backend.exists(filePath)) {
+        res.warnings.push({
+          type: 'del-file',
+          warning: 'no-file',
+          file: filePath.replace(prjRoot, ''),
+        });
+      } else {
+        step('delete', filePath, { type: 'delete', file: filePath });
+        res.changes.push({
+          type: 'del-file',
+          file: filePath.replace(prjRoot, ''),
+        });
+      }
+    });
+
+    // Move files
+    Object.keys(mvs).forEach((filePath) => {
+      if (!backend.exists(filePath)) {
+        res.warnings.push({
+          type: 'mv-file',
+          warning: 'no-file',
+          file: filePath.replace(prjRoot, ''),
+        });
+      } else {
+        step('move file', filePath, { type: 'move', from: filePath, to: mvs[filePath] });
+        res.changes.push({
+          type: 'mv-file',
+          file: filePath.replace(prjRoot, ''),
+          to: mvs[filePath].replace(prjRoot, ''),
+        });
+      }
+    });
+
+    // Create/update files
+    Object.keys(toSave).forEach((filePath) => {
+      const newContent = getLines(filePath).join('\n');
+      if (backend.exists(filePath)) {
+        const oldContent = backend.readFile(filePath).split(/\r?\n/).join('\n');
+        if (oldContent === newContent) {
+          return;
+        }
+        const diff = jsdiff.diffLines(oldContent, newContent);
+        res.changes.push({
+          type: 'update-file',
+          file: filePath.replace(prjRoot, ''),
+          added: countLines(diff, 'added'),
+          removed: countLines(diff, 'removed'),
+          diff,
+        });
+      } else {
+        res.changes.push({
+          type: 'create-file',
+          file: filePath.replace(prjRoot, ''),
+          added: getLines(filePath).length,
+        });
+      }
+      step('save file', filePath, { type: 'save', file: filePath, newContent });
+    });
 
+    if (gitArgs) {
+      // Moved and deleted files are already staged by git mv and git rm, untracked ones are left untracked
+      const files = getJournalFiles(tx.journal.filter(change => change.type !== 'create-dir'));
+      tx.step = 'stage files by git';
+      tx.file = '';
+      git.add(getJournalFiles(tx.journal.filter(change => change.type === 'save')).filter(f => backend.exists(f)));
+      // Untracked files moved or deleted by a forced flush are unknown to git, so only staged files are committed
+      const staged = git.getStagedFiles(files);
+      res.git = { staged: staged.map(f => f.replace(prjRoot, '')) };
+      if (gitArgs.commit && staged.length) {
+        tx.step = 'commit by git';
+        const message = _.isString(gitArgs.commit) ? gitArgs.commit : git.getCommitMessage();
+        res.git.commit = git.commit(message, staged);
+      }
+    }
+  }, !!gitArgs);
+
+  if (args.history !== false && journal.length) {
+    history.push(journal);
+  }
+  updateFileStats();
+  git.clearCommands();
+  // Save the analysis cache together with the changes, it's required here since cache depends on vio
+  require('./cache').save();
+  res.flushed = true;
+  res.summary = summarize(res);
+  reporter.getReporter().flushResult(res);
+  return res;
+}
+
+/**
+ * The result of `vio.flush`. Paths are relative to the project root.
+ * @typedef {Object} FlushResult
+ * @property {number} version - The version of the schema, it's 1 now.
+ * @property {boolean} flushed - False if nothing is written because of conflicts.
+ * @property {Array} changes - Applied changes in order, each one is one of:
+ *   `{ type: 'create-dir', file }`, `{ type: 'create-file', file, added }`,
+ *   `{ type: 'update-file', file, added, removed, diff }` where diff is from `jsdiff.diffLines`,
+ *   `{ type: 'del-file', file }`, `{ type: 'mv-file', file, to }` and `{ type: 'mv-dir', file, to }`.
+ * @property {Array} warnings - Skipped changes, `{ type: 'mv-file'|'mv-dir'|'del-file', warning: 'no-file', file }`.
+ * @property {Array} conflicts - Files changed by others since read, `{ file, reason: 'modified'|'deleted', resolution: 'refused'|'merged' }`.
+ * @property {Object} [git] - Only when flush with the git option, `{ staged, commit }`: staged files and
+ *   the hash of the created commit.
+ * @property {Object} summary - Counts of the result: `dirsCreated`, `filesCreated`, `filesUpdated`, `filesDeleted`,
+ *   `filesMoved`, `dirsMoved`, `linesAdded`, `linesRemoved`, `warnings` and `conflicts`.
+ * @alias module:vio.FlushResult
+**/
+
+/**
+ * Write all changes in memory to the disk. It's transactional: if any step fails, all files and
+ * folders already touched are restored and an error naming the failing step is thrown.
+ * The thrown error has `step` and `file` properties.
+ *
+ * Unless `args.history` is false, the applied changes are recorded as a changeset under `.rekit/history`
+ * of the project so that they could be reverted by `vio.undo()`.
+ * The result is also output by the reporter, see the `reporter` module.
+ * `flush:start` and `flush:end` events are emitted, see the `events` module.
+ * @param {Object} [args] - Flush options.
+ * @param {boolean} [args.history=true] - Whether to record the changes for undo.
+ * @param {string} [args.onConflict=refuse] - What to do if a file has been changed by others since it was read by vio:
+ *   'refuse' writes nothing, 'merge' tries a 3-way merge and writes nothing if it fails, 'overwrite' ignores the change.
+ * @param {boolean} [args.dryRun=false] - Don't touch the disk but return the unified diff, see `vio.preview`.
+ * @param {string} [args.patchFile] - Used with dryRun, write the unified diff to the file.
+ * @param {boolean|Object} [args.git] - Use git for the flush, see the `git` module. It throws an error if the git
+ *   working tree is not clean. Tracked files are moved and deleted by `git mv` and `git rm`, saved files are staged.
+ * @param {boolean} [args.git.force=false] - Flush even if the git working tree is not clean.
+ * @param {boolean|string} [args.git.commit=false] - Commit changed files, a string is used as the commit message,
+ *   otherwise the message is generated from rekit commands run since last flush.
+ * @returns {FlushResult} The structured result, or the unified diff for dryRun.
+ * @alias module:vio.flush
+ *
+ * @example <caption>Commit changes of a command</caption>
+ * const rekitCore = require('rekit-core');
+ * rekitCore.moveFeature('home', 'main');
+ * rekitCore.vio.flush({ git: { commit: true } }); // commit message: 'rekit move feature home to main'
+**/
+function flush(args) {
+  args = args || {};
+  if (args.dryRun) {
+    return preview(args.patchFile);
+  }
+  events.emit('flush:start', { args });
+  let res;
+  try {
+    res = flushChanges(args);
+  } catch (err) {
+    events.emit('flush:end', { args, error: err });
+    throw err;
+  }
+  events.emit('flush:end', { args, result: res });
   return res;
 }
 
+function assertNoPendingChanges() {
+  if ([toSave, toDel, dirs, mvs, mvDirs].some(obj => !_.isEmpty(obj))) {
+    utils.fatalError('There are pending changes not flushed, please flush or reset them first.');
+  }
+}
+
+function assertNotChanged(change) {
+  // Summary:
+  //  Make sure the disk is as recorded by the history before replaying a change, otherwise the file
+  //  has been changed by others since the flush and replaying the change would overwrite it.
+  let reason = null;
+  if (change.type === 'save') {
+    const content = backend.exists(change.file) ? backend.readFile(change.file) : null;
+    if (content !== change.oldContent) reason = content === null ? 'the file has been deleted' : 'the file has been modified';
+  } else if (change.type === 'move' && !backend.exists(change.from)) {
+    reason = 'the file has been deleted';
+  } else if (change.type === 'move' && backend.exists(change.to)) {
+    reason = `${utils.getRelativePath(change.to)} has been created`;
+  } else if (change.type === 'restore' && backend.exists(change.file)) {
+    reason = 'the file has been created';
+  } else if (change.type === 'delete' && change.contents && backend.exists(change.file)
+    && !_.isEqual(readContents(change.file), change.contents)) {
+    reason = 'the file has been modified';
+  }
+  if (reason) throw new Error(`${reason} since it was flushed.`);
+}
+
+function replay(changes, name) {
+  transact((tx) => {
+    changes.forEach((change) => {
+      tx.step = `${name} ${change.type}`;
+      tx.file = change.file || change.dir || change.from;
+      assertNotChanged(change);
+      applyChange(change, tx.journal);
+    });
+  });
+  // Cached content is out of date
+  reset();
+}
+
+/**
+ * Revert the last flushed changeset recorded in `.rekit/history`. It writes to the disk directly and
+ * it's also transactional as flush. Pending changes in memory should be flushed or reset before undo.
+ * It refuses to undo if files of the changeset have been changed by others since they were flushed.
+ * @returns {Object} The reverted changeset, null if nothing to undo.
+ * @alias module:vio.undo
+**/
+function undo() {
+  assertNoPendingChanges();
+  const changeset = history.getUndo();
+  if (!changeset) {
+    utils.warn('Nothing to undo.');
+    return null;
+  }
+  replay(changeset.changes.slice().reverse().map(invertChange), 'undo');
+  history.moveCursor(-1);
+  return changeset;
+}
+
+/**
+ * Re-apply the last reverted changeset. Pending changes in memory should be flushed or reset before redo.
+ * Like undo, it refuses to redo if files have been changed since they were reverted.
+ * @returns {Object} The re-applied changeset, null if nothing to redo.
+ * @alias module:vio.redo
+**/
+function redo() {
+  assertNoPendingChanges();
+  const changeset = history.getRedo();
+  if (!changeset) {
+    utils.warn('Nothing to redo.');
+    return null;
+  }
+  replay(changeset.changes, 'redo');
+  history.moveCursor(1);
+  return changeset;
+}
+
+// The version of the session file format, increase it when the format changes.
+const SESSION_VERSION = 1;
+
+function mapSessionPaths(state, mapPath) {
+  // Summary:
+  //  Map all paths in the staging state, both keys and values of moves are paths.
+  const mapKeys = obj => _.mapKeys(obj, (value, key) => mapPath(key));
+  const mapMoves = obj => _.mapValues(mapKeys(obj), mapPath);
+  return {
+    toSave: mapKeys(state.toSave),
+    toDel: mapKeys(state.toDel),
+    fileLines: mapKeys(state.fileLines),
+    dirs: mapKeys(state.dirs),
+    mvs: mapMoves(state.mvs),
+    mvDirs: mapMoves(state.mvDirs),
+    fileStats: _.mapValues(mapKeys(state.fileStats), stat => Object.assign({}, stat, { file: mapPath(stat.file) })),
+  };
+}
+
+function toSessionFile(file) {
+  return path.isAbsolute(file) ? file : utils.getFullPath(file);
+}
+
+/**
+ * Save pending changes in memory to a JSON file, so that they could be reviewed later, shared, or flushed by
+ * another process with `vio.loadSession`. Paths are saved relative to the project root.
+ * @param {string} file - The session file, relative paths are relative to the project root.
+ * @alias module:vio.saveSession
+ *
+ * @example
+ * const rekitCore = require('rekit-core');
+ * rekitCore.addComponent('home', 'hello');
+ * rekitCore.vio.saveSession('.rekit/session.json');
+ *
+ * // In another process
+ * rekitCore.vio.loadSession('.rekit/session.json');
+ * rekitCore.vio.flush();
+**/
+function saveSession(file) {
+  file = toSessionFile(file);
+  const session = Object.assign({ version: SESSION_VERSION }, mapSessionPaths(getState(), utils.getRelativePath));
+  backend.mkdirp(path.dirname(file));
+  backend.writeFile(file, JSON.stringify(session, null, 2));
+}
+
+/**
+ * Restore pending changes saved by `vio.saveSession`. Current pending changes in memory are discarded.
+ * @param {string} file - The session file, relative paths are relative to the project root.
+ * @alias module:vio.loadSession
+**/
+function loadSession(file) {
+  file = toSessionFile(file);
+  if (!backend.exists(file)) {
+    utils.fatalError(`Session file doesn't exist: ${file}`);
+  }
+  const session = JSON.parse(backend.readFile(file));
+  if (session.version !== SESSION_VERSION) {
+    utils.fatalError(`Unsupported session version: ${session.version}`);
+  }
+  const toAbsolute = p => (path.isAbsolute(p) ? p : utils.getFullPath(p));
+  setState(Object.assign({ asts: {} }, mapSessionPaths(session, toAbsolute)));
+}
+
 module.exports = {
   getLines,
   getContent,
@@ -369,5 +1012,13 @@ module.exports = {
   reset,
   log,
   flush,
+  preview,
+  getPendingChanges,
+  undo,
+  redo,
+  saveSession,
+  loadSession,
   ls,
+  getState,
+  setState,
 };
@@ -1,5 +1,6 @@
 'use strict';
 
+const path = require('path');
 const _ = require('lodash');
 const expect = require('chai').expect;
 const helpers = require('./helpers');
@@ -298,4 +299,85 @@ describe('action', function() { // eslint-disable-line
     expectNoFile(mapFeatureFile('redux/renamedAsyncAction.js'));
     expectNoFile(mapTestFile('redux/renamedAsyncAction.test.js'));
   });
+
+  it('convert sync action to async action and back', () => {
+    core.addAction(TEST_FEATURE_NAME, 'convert-action');
+    core.addAction(TEST_FEATURE_NAME, 'other-action');
+    const actionType = core.utils.getActionType(TEST_FEATURE_NAME, 'convert-action');
+    const otherType = core.utils.getActionType(TEST_FEATURE_NAME, 'other-action');
+    const actionTypes = core.utils.getAsyncActionTypes(TEST_FEATURE_NAME, 'convert-action');
+    const actionFile = mapFeatureFile('redux/convertAction.js');
+
+    // A custom reducer case should be kept
+    vio.save(actionFile, vio.getContent(actionFile)
+      .replace("} from './constants';", `  ${otherType},\n} from './constants';`)
+      .replace('    default:', `    case ${otherType}:\n      return {\n        ...state,\n        converted: true,\n      };\n\n    default:`));
+
+    core.handleCommand({ commandName: 'convert', type: 'action', name: `${TEST_FEATURE_NAME}/convert-action`, async: true });
+    expectLines(actionFile, [
+      `  ${actionTypes.begin},`,
+      `  ${otherType},`,
+      'export function dismissConvertActionError() {',
+      `    case ${actionTypes.dismissError}:`,
+      `    case ${otherType}:`,
+      '        converted: true,',
+    ]);
+    expectNoLines(mapFeatureFile('redux/constants.js'), [`export const ${actionType} = '${actionType}';`]);
+    expectLines(mapFeatureFile('redux/constants.js'), [`export const ${actionTypes.begin} = '${actionTypes.begin}';`]);
+    expectLines(mapFeatureFile('redux/actions.js'), [
+      "export { convertAction, dismissConvertActionError } from './convertAction';",
+    ]);
+    expectLines(mapFeatureFile('redux/initialState.js'), [
+      '  convertActionPending: false,',
+      '  convertActionError: null,',
+    ]);
+    expectLines(mapTestFile('redux/convertAction.test.js'), ['  dismissConvertActionError,']);
+    expect(() => core.convertAction(TEST_FEATURE_NAME, 'convert-action', { async: true })).to.throw(/already async/);
+
+    core.convertAction(TEST_FEATURE_NAME, 'convert-action', { async: false });
+    expectLines(actionFile, [
+      `  ${actionType},`,
+      `    case ${otherType}:`,
+    ]);
+    expectNoLines(actionFile, [actionTypes.begin, 'dismissConvertActionError']);
+    expectNoLines(mapFeatureFile('redux/constants.js'), [actionTypes.begin, actionTypes.dismissError]);
+    expectLines(mapFeatureFile('redux/actions.js'), ["export { convertAction } from './convertAction';"]);
+    expectNoLines(mapFeatureFile('redux/initialState.js'), ['convertActionPending', 'convertActionError']);
+    expectNoLines(mapTestFile('redux/convertAction.test.js'), ['dismissConvertActionError']);
+
+    core.removeAction(TEST_FEATURE_NAME, 'convert-action');
+    core.removeAction(TEST_FEATURE_NAME, 'other-action');
+  });
+
+  describe('of a flushed project', function () {
+    const VIRTUAL_ROOT = '/virtual-prj';
+    let memory;
+    before(() => {
+      vio.reset();
+      memory = core.backend.createMemoryBackend(helpers.snapshotTestPrj(), VIRTUAL_ROOT);
+      core.backend.setBackend(memory);
+      utils.setProjectRoot(VIRTUAL_ROOT);
+    });
+
+    after(() => {
+      vio.reset();
+      core.backend.setBackend(core.backend.createDiskBackend());
+      utils.setProjectRoot(path.join(__dirname, './test-prj'));
+    });
+
+    it('convert an action', () => {
+      core.addFeature('mem-feature');
+      core.addAction('mem-feature', 'fetch-hello');
+      vio.flush({ history: false });
+      vio.reset();
+
+      core.convertAction('mem-feature', 'fetch-hello', { async: true });
+      vio.flush({ history: false });
+      vio.reset();
+
+      const testFile = `${VIRTUAL_ROOT}/tests/features/mem-feature/redux/fetchHello.test.js`;
+      expect(memory.exists(testFile)).to.be.true;
+      expect(memory.readFile(testFile)).to.match(/dismissFetchHelloError/);
+    });
+  });
 });
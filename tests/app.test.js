@@ -0,0 +1,521 @@
+'use strict';
+
+const os = require('os');
+const mPath = require('path');
+const _ = require('lodash');
+const expect = require('chai').expect;
+const shell = require('shelljs');
+const helpers = require('./helpers');
+const core = require('../core');
+
+const vio = core.vio;
+const utils = core.utils;
+const app = core.app;
+
+const TEST_FEATURE_NAME = helpers.TEST_FEATURE_NAME;
+const mapFeatureFile = file => utils.mapFeatureFile(TEST_FEATURE_NAME, file);
+
+describe('app', function () {
+  before(() => {
+    vio.reset();
+    core.addFeature(TEST_FEATURE_NAME);
+    core.addComponent(TEST_FEATURE_NAME, 'topic-list');
+    core.addAction(TEST_FEATURE_NAME, 'fetch-topics');
+    vio.save(mapFeatureFile('TopicPage.js'), [
+      "import React, { Component } from 'react';",
+      "import { connect } from 'react-redux';",
+      "import TopicList from './TopicList';",
+      "import { fetchTopics } from './redux/actions';",
+      '',
+      'export class TopicPage extends Component {',
+      '  render() {',
+      '    return <TopicList />;',
+      '  }',
+      '}',
+      'export default connect(() => ({}), { fetchTopics })(TopicPage);',
+    ]);
+    vio.save(mapFeatureFile('Layout.js'), [
+      "import React, { Component } from 'react';",
+      "import TopicPage from './TopicPage';",
+      '',
+      'export default class Layout extends Component {',
+      '  render() {',
+      '    return <TopicPage />;',
+      '  }',
+      '}',
+    ]);
+  });
+
+  after(() => {
+    vio.reset();
+  });
+
+  it('getGraph', () => {
+    const graph = app.getGraph();
+    expect(graph.nodes).to.deep.include({
+      file: mapFeatureFile('TopicList.js'),
+      type: 'component',
+      feature: TEST_FEATURE_NAME,
+      name: 'TopicList',
+    });
+    expect(graph.edges).to.deep.include({
+      from: mapFeatureFile('TopicPage.js'),
+      to: mapFeatureFile('redux/fetchTopics.js'),
+      type: 'action',
+    });
+  });
+
+  it('getDependents', () => {
+    const files = nodes => nodes.map(n => n.file).sort();
+    expect(files(app.getDependents(`${TEST_FEATURE_NAME}/TopicList`))).to.deep.equal([
+      mapFeatureFile('TopicPage.js'),
+      mapFeatureFile('index.js'),
+    ]);
+    expect(files(app.getDependents(`${TEST_FEATURE_NAME}/TopicList`, { transitive: true }))).to.deep.equal([
+      mapFeatureFile('Layout.js'),
+      mapFeatureFile('TopicPage.js'),
+      mapFeatureFile('index.js'),
+    ]);
+    expect(files(app.getDependents({ feature: TEST_FEATURE_NAME, name: 'fetchTopics', type: 'action' })))
+      .to.include(mapFeatureFile('TopicPage.js'));
+  });
+
+  it('getDependencies', () => {
+    const files = app.getDependencies(mapFeatureFile('Layout.js'), { transitive: true }).map(n => n.file);
+    expect(files).to.include(mapFeatureFile('TopicList.js'));
+    expect(files).to.include(mapFeatureFile('redux/fetchTopics.js'));
+  });
+
+  it('graph is updated when dependencies are created', () => {
+    vio.save(mapFeatureFile('Panel.js'), [
+      "import React from 'react';",
+      "import Foo from './Foo';",
+      '',
+      'export default () => <Foo />;',
+    ]);
+    expect(app.getGraph().edges.map(e => e.to)).to.not.include(mapFeatureFile('Foo.js'));
+    vio.save(mapFeatureFile('Foo.js'), [
+      "import React from 'react';",
+      '',
+      'export default () => <div />;',
+    ]);
+    expect(app.getDependents(mapFeatureFile('Foo.js')).map(n => n.file)).to.deep.equal([mapFeatureFile('Panel.js')]);
+    vio.del(mapFeatureFile('Panel.js'));
+    vio.del(mapFeatureFile('Foo.js'));
+  });
+
+  it('getDeps of namespace imports of constants', () => {
+    const actionType = utils.getActionType(TEST_FEATURE_NAME, 'fetch-topics');
+    vio.save(mapFeatureFile('redux/types.js'), [
+      "import * as types from './constants';",
+      '',
+      `export const fetchType = types.${actionType};`,
+    ]);
+    expect(app.getDeps(mapFeatureFile('redux/types.js')).constants).to.deep.equal([{
+      name: actionType,
+      feature: TEST_FEATURE_NAME,
+      file: mapFeatureFile('redux/constants.js'),
+      type: 'constant',
+    }]);
+    vio.del(mapFeatureFile('redux/types.js'));
+  });
+
+  it('ignores modules which fail to parse', () => {
+    const modernFile = utils.mapSrcFile('common/modern.js');
+    vio.save(modernFile, 'export const name = window.user?.name;');
+    expect(app.getDependents(`${TEST_FEATURE_NAME}/TopicList`).map(n => n.file)).to.include(mapFeatureFile('TopicPage.js'));
+    expect(app.getGraph().nodes.map(n => n.file)).to.not.include(modernFile);
+    vio.del(modernFile);
+  });
+
+  it('graph is updated when files change', () => {
+    vio.save(mapFeatureFile('Layout.js'), "export default 'layout';");
+    expect(app.getDependents(mapFeatureFile('TopicPage.js'))).to.deep.equal([]);
+    vio.del(mapFeatureFile('TopicPage.js'));
+    expect(app.getDependents(`${TEST_FEATURE_NAME}/TopicList`).map(n => n.file)).to.deep.equal([
+      mapFeatureFile('index.js'),
+    ]);
+  });
+
+  it('throws error for unknown element', () => {
+    expect(() => app.getDependents(`${TEST_FEATURE_NAME}/NoSuchComponent`)).to.throw(Error);
+  });
+
+  describe('getGraph of a project on disk', () => {
+    const testPrj = mPath.join(__dirname, './test-prj');
+    const tmpDir = utils.joinPath(os.tmpdir(), 'rekit-app-test');
+    const mapTmpFile = file => utils.joinPath(tmpDir, 'src/features', TEST_FEATURE_NAME, file);
+
+    before(() => {
+      vio.reset();
+      shell.rm('-rf', tmpDir);
+      shell.cp('-R', testPrj, tmpDir);
+      utils.setProjectRoot(tmpDir);
+      core.addFeature(TEST_FEATURE_NAME);
+      core.addAction(TEST_FEATURE_NAME, 'fetch-topics');
+      vio.flush({ history: false });
+      vio.reset();
+    });
+
+    after(() => {
+      vio.reset();
+      shell.rm('-rf', tmpDir);
+      utils.setProjectRoot(testPrj);
+    });
+
+    it('finds modules in sub folders', () => {
+      const graph = app.getGraph();
+      expect(graph.nodes.map(n => n.file)).to.include(mapTmpFile('redux/fetchTopics.js'));
+      expect(graph.edges).to.deep.include({
+        from: mapTmpFile('redux/actions.js'),
+        to: mapTmpFile('redux/fetchTopics.js'),
+        type: 'misc',
+      });
+    });
+  });
+
+  describe('getRekitProps', () => {
+    const kindOf = (name, lines) => {
+      vio.save(mapFeatureFile(name), lines);
+      return _.get(app.getRekitProps(mapFeatureFile(name)), 'component.kind');
+    };
+
+    it('detects class components', () => {
+      expect(kindOf('ClassComp.js', [
+        "import React, { Component } from 'react';",
+        'export default class ClassComp extends Component {',
+        '  render() { return <div />; }',
+        '}',
+      ])).to.equal('class');
+    });
+
+    it('detects function components', () => {
+      expect(kindOf('FuncComp.js', [
+        "import React from 'react';",
+        'export default function FuncComp() {',
+        '  if (!this) return null;',
+        '  return <div />;',
+        '}',
+      ])).to.equal('function');
+      expect(kindOf('ArrowComp.js', [
+        "import React from 'react';",
+        "import { connect } from 'react-redux';",
+        'const ArrowComp = ({ items }) => items.length ? <ul /> : <span />;',
+        'export default connect(() => ({}))(ArrowComp);',
+      ])).to.equal('function');
+      const props = app.getRekitProps(mapFeatureFile('ArrowComp.js'));
+      expect(props.type).to.equal('component');
+      expect(props.component.connectToStore).to.be.true;
+    });
+
+    it('detects memo and forwardRef components', () => {
+      expect(kindOf('MemoComp.js', [
+        "import React from 'react';",
+        'export default React.memo(props => <div>{props.text}</div>);',
+      ])).to.equal('memo');
+      expect(kindOf('RefComp.js', [
+        "import React, { forwardRef } from 'react';",
+        'export const RefComp = forwardRef((props, ref) => <input ref={ref} />);',
+      ])).to.equal('forwardRef');
+    });
+
+    it('detects HOC factories', () => {
+      expect(kindOf('withAuth.js', [
+        "import React, { Component } from 'react';",
+        'export default function withAuth(WrappedComponent) {',
+        '  return class extends Component {',
+        '    render() { return <WrappedComponent {...this.props} />; }',
+        '  };',
+        '}',
+      ])).to.equal('hoc');
+      expect(kindOf('withTheme.js', [
+        "import React from 'react';",
+        'export const withTheme = Comp => props => <Comp theme="dark" {...props} />;',
+      ])).to.equal('hoc');
+    });
+
+    it('treats other modules as misc', () => {
+      vio.save(mapFeatureFile('helper.js'), [
+        'export function Helper() { return 1; }',
+        'export const renderIt = () => <div />;',
+      ]);
+      expect(app.getRekitProps(mapFeatureFile('helper.js')).type).to.equal('misc');
+    });
+  });
+
+  describe('getRouteTree', () => {
+    const F2 = helpers.TEST_FEATURE_NAME_2;
+    before(() => {
+      vio.reset();
+      vio.save(utils.mapSrcFile('containers/App.js'), "export default () => <div id='app' />;");
+      core.addFeature(TEST_FEATURE_NAME);
+      core.addFeature(F2);
+      core.addComponent(TEST_FEATURE_NAME, 'topic-list', { urlPath: '$auto' });
+      core.addComponent(F2, 'topic-detail');
+      core.addComponent(F2, 'new-topic');
+      vio.save(utils.mapFeatureFile(F2, 'route.js'), [
+        "import { TopicDetail, NewTopic } from './';",
+        `import { TopicList } from '../${TEST_FEATURE_NAME}';`,
+        '',
+        'const topicRoutes = [',
+        "  { path: ':id', component: TopicDetail },",
+        "  { path: 'new', component: NewTopic },",
+        '];',
+        '',
+        'export default {',
+        `  path: '/${TEST_FEATURE_NAME}',`,
+        '  childRoutes: [',
+        "    { path: 'topics', childRoutes: [...topicRoutes] },",
+        "    { path: 'topic-list', component: TopicList },",
+        '  ],',
+        '};',
+      ]);
+    });
+
+    it('resolves routes of all features', () => {
+      const routes = app.getRouteTree().routes;
+      expect(routes.length).to.equal(1);
+      expect(routes[0]).to.include({ path: '/', component: 'App', componentFile: utils.mapSrcFile('containers/App.js') });
+      const children = _.keyBy(routes[0].childRoutes, 'feature');
+      expect(_.last(routes[0].childRoutes)).to.include({ path: '/*', isFallback: true, component: 'PageNotFound' });
+
+      const f1 = children[TEST_FEATURE_NAME];
+      expect(f1.path).to.equal(`/${TEST_FEATURE_NAME}`);
+      expect(f1.childRoutes[0]).to.include({
+        path: `/${TEST_FEATURE_NAME}/default-page`,
+        isIndex: true,
+        component: 'DefaultPage',
+        componentFile: mapFeatureFile('DefaultPage.js'),
+        file: mapFeatureFile('route.js'),
+      });
+
+      const topics = children[F2].childRoutes[0];
+      expect(topics.path).to.equal(`/${TEST_FEATURE_NAME}/topics`);
+      expect(topics.childRoutes.map(r => r.path)).to.deep.equal([
+        `/${TEST_FEATURE_NAME}/topics/:id`,
+        `/${TEST_FEATURE_NAME}/topics/new`,
+      ]);
+      expect(topics.childRoutes[1].componentFile).to.equal(utils.mapFeatureFile(F2, 'NewTopic.js'));
+    });
+
+    it('reports conflicts', () => {
+      const conflicts = app.getRouteTree().conflicts.map(c => `${c.type}:${c.path}:${c.routes.map(r => r.feature).join(',')}`);
+      expect(conflicts).to.include(`duplicate:/${TEST_FEATURE_NAME}/topic-list:${TEST_FEATURE_NAME},${F2}`);
+      expect(conflicts).to.include(`shadowed:/${TEST_FEATURE_NAME}/topics/new:${F2},${F2}`);
+      expect(conflicts.length).to.equal(2);
+    });
+  });
+
+  describe('search', () => {
+    const brief = r => `${r.kind}:${mPath.basename(r.file)}:${r.line}`;
+    before(() => {
+      vio.reset();
+      core.addFeature(TEST_FEATURE_NAME);
+      core.addComponent(TEST_FEATURE_NAME, 'topic-list', { urlPath: '$auto' });
+      core.addAsyncAction(TEST_FEATURE_NAME, 'fetch-topics');
+      vio.save(mapFeatureFile('TopicPage.js'), [
+        "import React, { Component } from 'react';",
+        "import { bindActionCreators } from 'redux';",
+        "import { connect } from 'react-redux';",
+        "import { Link } from 'react-router';",
+        "import { TopicList } from './';",
+        "import * as actions from './redux/actions';",
+        '',
+        'export class TopicPage extends Component {',
+        '  componentDidMount() {',
+        '    this.props.actions.fetchTopics();',
+        "    this.props.dispatch({ type: 'A_FEATURE_FETCH_TOPICS_BEGIN' });",
+        '  }',
+        '  render() {',
+        '    if (this.props.aFeature.fetchTopicsPending) return null;',
+        '    return <Link to="/a-feature/topic-list"><TopicList /></Link>;',
+        '  }',
+        '}',
+        'export default connect(',
+        '  state => ({ aFeature: state.aFeature }),',
+        '  dispatch => ({ actions: bindActionCreators({ ...actions }, dispatch) })',
+        ')(TopicPage);',
+      ]);
+    });
+
+    it('searches components', () => {
+      expect(app.search('TopicList').map(brief)).to.deep.equal([
+        'definition:TopicList.js:3',
+        'reference:TopicPage.js:5',
+        'reference:TopicPage.js:15',
+        'reference:index.js:2',
+        'reference:route.js:3',
+        'reference:route.js:11',
+      ]);
+    });
+
+    it('searches actions', () => {
+      const res = app.search('fetchTopics', { types: ['action'] });
+      expect(res[0]).to.deep.include({ type: 'action', feature: TEST_FEATURE_NAME, kind: 'definition', line: 10, column: 7 });
+      expect(res.map(brief)).to.include('reference:TopicPage.js:10');
+      expect(res.map(brief)).to.include('reference:actions.js:1');
+    });
+
+    it('searches constants and string action types', () => {
+      const res = app.search('A_FEATURE_FETCH_TOPICS_BEGIN', { types: ['constant'] }).map(brief);
+      expect(res[0]).to.equal('definition:constants.js:1');
+      expect(res).to.include('reference:TopicPage.js:11');
+      expect(res).to.include('reference:fetchTopics.js:2');
+    });
+
+    it('searches initial state keys', () => {
+      const res = app.search('fetchTopicsPending', { types: ['initialState'] }).map(brief);
+      expect(res[0]).to.match(/^definition:initialState.js:/);
+      expect(res).to.include('reference:TopicPage.js:14');
+      expect(res.filter(r => /fetchTopics\.js/.test(r)).length).to.equal(3);
+    });
+
+    it('searches routes', () => {
+      expect(app.search(/topic-list$/, { types: ['route'] }).map(brief)).to.deep.equal([
+        'definition:route.js:11',
+        'reference:TopicPage.js:15',
+      ]);
+    });
+
+    it('throws error for unknown types', () => {
+      expect(() => app.search('x', { types: ['foo'] })).to.throw(/Unknown symbol type/);
+    });
+  });
+
+  describe('getStateShape', () => {
+    before(() => {
+      vio.reset();
+      core.addFeature(TEST_FEATURE_NAME);
+      core.addAsyncAction(TEST_FEATURE_NAME, 'fetch-topics');
+      core.addComponent(TEST_FEATURE_NAME, 'topic-page', { connect: true });
+      const stateFile = mapFeatureFile('redux/initialState.js');
+      vio.save(stateFile, vio.getContent(stateFile).replace('const initialState = {', 'const initialState = {\n  oldPending: false,'));
+      vio.save(mapFeatureFile('TopicStatus.js'), [
+        "import React from 'react';",
+        "import { connect } from 'react-redux';",
+        '',
+        'const TopicStatus = ({ error }) => <span>{error}</span>;',
+        'export default connect(state => ({ error: state.aFeature.fetchTopicsError }))(TopicStatus);',
+      ]);
+      const pageFile = mapFeatureFile('TopicPage.js');
+      vio.save(pageFile, vio.getContent(pageFile).replace('return (', 'if (this.props.aFeature.fetchTopicsPending) return null;\n    return ('));
+    });
+
+    it('reports keys, writers and readers', () => {
+      const shape = app.getStateShape(TEST_FEATURE_NAME);
+      const keys = _.keyBy(shape.keys, 'name');
+      expect(Object.keys(keys)).to.deep.equal(['oldPending', 'fetchTopicsPending', 'fetchTopicsError']);
+      expect(keys.oldPending).to.deep.equal({
+        name: 'oldPending', initialValue: 'false', line: 9, writtenBy: [], readBy: [], orphan: true,
+      });
+      expect(keys.fetchTopicsPending.initialValue).to.equal('false');
+      expect(keys.fetchTopicsPending.writtenBy).to.deep.equal([
+        'A_FEATURE_FETCH_TOPICS_BEGIN',
+        'A_FEATURE_FETCH_TOPICS_SUCCESS',
+        'A_FEATURE_FETCH_TOPICS_FAILURE',
+      ]);
+      expect(keys.fetchTopicsPending.readBy.map(r => r.name)).to.deep.equal(['TopicPage']);
+      expect(keys.fetchTopicsError.readBy.map(r => r.name)).to.deep.equal(['TopicStatus']);
+      expect(keys.fetchTopicsError.orphan).to.be.false;
+      expect(_.find(shape.actions, { type: 'A_FEATURE_FETCH_TOPICS_DISMISS_ERROR' })).to.deep.equal({
+        type: 'A_FEATURE_FETCH_TOPICS_DISMISS_ERROR',
+        file: mapFeatureFile('redux/fetchTopics.js'),
+        writes: ['fetchTopicsError'],
+      });
+    });
+
+    it('throws error for unknown feature', () => {
+      expect(() => app.getStateShape('no-such-feature')).to.throw(Error);
+    });
+  });
+
+  describe('getStats', () => {
+    before(() => {
+      vio.reset();
+      core.addFeature(TEST_FEATURE_NAME);
+      core.addComponent(TEST_FEATURE_NAME, 'topic-page', { connect: true, urlPath: '$auto' });
+      core.addComponent(TEST_FEATURE_NAME, 'topic-list');
+      core.addAction(TEST_FEATURE_NAME, 'reset-topics');
+      core.addAsyncAction(TEST_FEATURE_NAME, 'fetch-topics');
+      vio.del(mapFeatureFile('TopicList.less'));
+      vio.del(utils.mapComponentTestFile(TEST_FEATURE_NAME, 'TopicPage'));
+      const pageFile = mapFeatureFile('TopicPage.js');
+      vio.save(pageFile, "import TopicList from './TopicList';\n" + vio.getContent(pageFile));
+    });
+
+    it('gets statistics of features', () => {
+      const stats = app.getStats({ top: 2 });
+      const feature = _.find(stats.features, { name: TEST_FEATURE_NAME });
+      expect(_.omit(feature, ['linesOfCode', 'misc'])).to.deep.equal({
+        name: TEST_FEATURE_NAME,
+        components: 3, // including DefaultPage
+        connectedComponents: 2,
+        actions: 2,
+        asyncActions: 1,
+        routes: 2,
+        tests: { present: 4, missing: [`tests/features/${TEST_FEATURE_NAME}/TopicPage.test.js`] },
+        styles: { present: 2, missing: [`src/features/${TEST_FEATURE_NAME}/TopicList.less`] },
+      });
+      expect(feature.misc).to.be.above(0);
+      expect(feature.linesOfCode).to.be.above(100);
+      expect(stats.totals.tests).to.deep.equal({ present: 4, missing: 1 });
+    });
+
+    it('gets largest files and components with most dependencies', () => {
+      const stats = app.getStats({ top: 2 });
+      expect(stats.largestFiles.length).to.equal(2);
+      expect(stats.largestFiles[0].file).to.equal(`src/features/${TEST_FEATURE_NAME}/redux/fetchTopics.js`);
+      expect(stats.largestFiles[0].linesOfCode).to.be.at.least(stats.largestFiles[1].linesOfCode);
+      expect(stats.mostDependencies).to.deep.equal([{
+        feature: TEST_FEATURE_NAME,
+        name: 'TopicPage',
+        file: `src/features/${TEST_FEATURE_NAME}/TopicPage.js`,
+        dependencies: 1,
+      }]);
+    });
+  });
+
+  describe('findUnused', () => {
+    before(() => {
+      vio.reset();
+      core.addFeature(TEST_FEATURE_NAME);
+      core.addComponent(TEST_FEATURE_NAME, 'used-comp');
+      core.addComponent(TEST_FEATURE_NAME, 'unused-comp');
+      core.addAction(TEST_FEATURE_NAME, 'used-action');
+      core.addAction(TEST_FEATURE_NAME, 'unused-action');
+      core.constant.add(TEST_FEATURE_NAME, 'unused-const');
+      vio.save(mapFeatureFile('Orphan.less'), '.orphan {}');
+      vio.save(mapFeatureFile('DefaultPage.js'), [
+        "import React, { Component } from 'react';",
+        "import UsedComp from './UsedComp';",
+        "import { usedAction } from './redux/actions';",
+        '',
+        'export default class DefaultPage extends Component {',
+        '  render() {',
+        '    return <UsedComp onClick={usedAction} />;',
+        '  }',
+        '}',
+      ]);
+    });
+
+    it('finds unused elements', () => {
+      const unused = app.findUnused().map(item => `${item.type}:${item.name}`);
+      expect(unused).to.deep.equal([
+        'component:UnusedComp',
+        'action:unusedAction',
+        'constant:UNUSED_CONST',
+        'style:Orphan',
+      ]);
+    });
+
+    it('removes unused elements', () => {
+      app.findUnused().forEach(item => item.remove());
+      expect(vio.fileExists(mapFeatureFile('UnusedComp.js'))).to.be.false;
+      expect(vio.fileExists(mapFeatureFile('redux/unusedAction.js'))).to.be.false;
+      expect(vio.fileExists(mapFeatureFile('Orphan.less'))).to.be.false;
+      expect(vio.getContent(mapFeatureFile('index.js'))).to.not.contain('UnusedComp');
+      expect(vio.getContent(mapFeatureFile('redux/constants.js'))).to.not.contain('UNUSED_CONST');
+      expect(app.findUnused({ feature: TEST_FEATURE_NAME })).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const expect = require('chai').expect;
+const helpers = require('./helpers');
+const core = require('../core');
+
+const vio = core.vio;
+const utils = core.utils;
+const backend = core.backend;
+
+const testPrj = path.join(__dirname, './test-prj');
+const VIRTUAL_ROOT = '/virtual-prj';
+
+describe('backend', function () {
+  let memory;
+  before(() => {
+    vio.reset();
+    memory = backend.createMemoryBackend(helpers.snapshotTestPrj(), VIRTUAL_ROOT);
+    backend.setBackend(memory);
+    utils.setProjectRoot(VIRTUAL_ROOT);
+  });
+
+  after(() => {
+    vio.reset();
+    backend.setBackend(backend.createDiskBackend());
+    utils.setProjectRoot(testPrj);
+  });
+
+  it('memory backend supports basic file operations', () => {
+    const mb = backend.createMemoryBackend({ 'a/b.txt': 'b', 'c/': '' }, '/root');
+    expect(mb.readFile('/root/a/b.txt')).to.equal('b');
+    expect(mb.isDirectory('/root/c')).to.be.true;
+    expect(() => mb.writeFile('/root/x/y.txt', 'y')).to.throw(/ENOENT/);
+    mb.move('/root/a', '/root/c/a');
+    expect(mb.readdir('/root/c/a')).to.deep.equal(['b.txt']);
+    mb.remove('/root/c');
+    expect(mb.toJSON()).to.deep.equal({ '/root/': '' });
+  });
+
+  it('manage a virtual project in memory', () => {
+    core.addFeature('mem-feature');
+    core.addComponent('mem-feature', 'hello');
+    vio.flush({ history: false });
+    vio.reset();
+
+    expect(memory.exists(`${VIRTUAL_ROOT}/src/features/mem-feature/Hello.js`)).to.be.true;
+    expect(memory.readFile(`${VIRTUAL_ROOT}/src/common/rootReducer.js`)).to.match(/memFeatureReducer/);
+    expect(fs.existsSync(path.join(testPrj, 'src/features'))).to.be.false;
+
+    const structure = core.app.getFeatureStructure('mem-feature');
+    expect(structure.components.map(c => c.name)).to.include('Hello');
+  });
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const expect = require('chai').expect;
+require('./helpers');
+const core = require('../core');
+
+const version = require('../package.json').version;
+
+const cacheFile = '/prj/.rekit/cache/analysis.json';
+const pageFile = '/prj/src/features/home/Page.js';
+
+function createBackend() {
+  return core.backend.createMemoryBackend({
+    'package.json': JSON.stringify({ name: 'prj', rekit: {} }),
+    'src/features/home/index.js': "export { default as Hello } from './Hello';\n",
+    'src/features/home/Hello.js': [
+      "import React, { Component } from 'react';",
+      'export default class Hello extends Component {',
+      '  render() { return <div />; }',
+      '}',
+      '',
+    ].join('\n'),
+    'src/features/home/Page.js': [
+      "import React from 'react';",
+      "import { Hello } from './';",
+      'export default () => <Hello />;',
+      '',
+    ].join('\n'),
+  }, '/prj');
+}
+
+describe('cache', function () {
+  let backend;
+  let ctx;
+  const readCache = () => JSON.parse(backend.readFile(cacheFile));
+  const writeCache = data => backend.writeFile(cacheFile, JSON.stringify(data));
+
+  beforeEach(() => {
+    backend = createBackend();
+    ctx = core.createContext({ projectRoot: '/prj', backend });
+  });
+
+  it('saves analysis results to .rekit/cache', () => {
+    ctx.app.getGraph();
+    ctx.cache.save();
+    const data = readCache();
+    expect(data.version).to.equal(version);
+    expect(data.files['src/features/home/Page.js'].props.value).to.deep.include({ type: 'component' });
+    expect(data.files['src/features/home/Page.js'].deps.inputs).to.have.all.keys(
+      'src/features/home/index.js',
+      'src/features/home/Hello.js'
+    );
+    expect(data.files['src/features/home/index.js'].entry.value.exported).to.deep.equal({
+      Hello: '/prj/src/features/home/Hello.js',
+    });
+  });
+
+  it('is saved by flush but not by queries', () => {
+    ctx.app.getGraph();
+    ctx.app.getSrcFiles();
+    expect(backend.exists(cacheFile)).to.be.false;
+    ctx.vio.save('/prj/src/features/home/Other.js', 'export default 1;');
+    ctx.vio.flush({ history: false });
+    expect(readCache().files['src/features/home/Page.js'].props.value).to.deep.include({ type: 'component' });
+  });
+
+  it('loads cached results in a new process', () => {
+    ctx.app.getGraph();
+    ctx.cache.save();
+    const data = readCache();
+    data.files['src/features/home/Page.js'].props.value = { type: 'misc', cached: true };
+    writeCache(data);
+
+    const ctx2 = core.createContext({ projectRoot: '/prj', backend });
+    expect(ctx2.app.getRekitProps(pageFile)).to.deep.equal({ type: 'misc', cached: true });
+  });
+
+  it('invalidates results when the module or its inputs change', () => {
+    ctx.app.getGraph();
+    ctx.cache.save();
+    const data = readCache();
+    data.files['src/features/home/Page.js'].props.value = { type: 'misc', cached: true };
+    data.files['src/features/home/Page.js'].deps.value = { cached: true };
+    writeCache(data);
+    backend.writeFile('/prj/src/features/home/index.js', "export { default as Hello } from './Hello';\n// changed\n");
+    backend.writeFile(pageFile, `${backend.readFile(pageFile)}// changed\n`);
+
+    const ctx2 = core.createContext({ projectRoot: '/prj', backend });
+    expect(ctx2.app.getRekitProps(pageFile).type).to.equal('component');
+    expect(ctx2.app.getDeps(pageFile).components.map(c => c.name)).to.deep.equal(['Hello']);
+  });
+
+  it('discards the cache of another version', () => {
+    ctx.app.getGraph();
+    ctx.cache.save();
+    const data = readCache();
+    data.version = '0.0.0';
+    data.files['src/features/home/Page.js'].props.value = { type: 'misc', cached: true };
+    writeCache(data);
+
+    const ctx2 = core.createContext({ projectRoot: '/prj', backend });
+    expect(ctx2.app.getRekitProps(pageFile).type).to.equal('component');
+  });
+
+  it('could be disabled', () => {
+    ctx.cache.setEnabled(false);
+    ctx.app.getGraph();
+    ctx.cache.save();
+    expect(backend.exists(cacheFile)).to.be.false;
+    ctx.cache.setEnabled(null);
+    ctx.app.getGraph();
+    ctx.cache.save();
+    ctx.cache.clear();
+    expect(backend.exists('/prj/.rekit/cache')).to.be.false;
+  });
+});
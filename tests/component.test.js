@@ -171,6 +171,64 @@ describe('component', function() { // eslint-disable-line
     ]);
   });
 
+  it('convert component to function by command', () => {
+    core.addComponent(TEST_FEATURE_NAME, 'connected-component', { connect: true });
+    core.handleCommand({ commandName: 'convert', type: 'component', name: `${TEST_FEATURE_NAME}/connected-component`, to: 'function' });
+    expectLines(mapFeatureFile('ConnectedComponent.js'), [
+      'export function ConnectedComponent() {',
+      'ConnectedComponent.propTypes = {',
+      ')(ConnectedComponent);',
+    ]);
+    expect(() => core.convertComponent(TEST_FEATURE_NAME, 'connected-component', { to: 'class' })).to.throw(/only 'function'/);
+    expect(() => core.convertComponent(TEST_FEATURE_NAME, 'connected-component')).to.throw(/is not converted/);
+    core.removeComponent(TEST_FEATURE_NAME, 'connected-component');
+  });
+
+  it('extract a JSX element to a new component', () => {
+    core.addComponent(TEST_FEATURE_NAME, 'topic-list');
+    const file = mapFeatureFile('TopicList.js');
+    vio.save(file, [
+      "import React, { Component } from 'react';",
+      "import moment from 'moment';",
+      '',
+      'export default class TopicList extends Component {',
+      '  render() {',
+      '    return (',
+      '      <ul>',
+      '        {this.props.topics.map(topic => (',
+      '          <li key={topic.id} onClick={this.handleClick}>',
+      '            {topic.title} {moment(topic.date).fromNow()}',
+      '          </li>',
+      '        ))}',
+      '      </ul>',
+      '    );',
+      '  }',
+      '}',
+    ]);
+    const code = vio.getContent(file);
+    const range = { start: code.indexOf('<li'), end: code.indexOf('</li>') + 5 };
+    expect(() => core.extractComponent(file, { start: range.start, end: range.end - 1 }, { feature: TEST_FEATURE_NAME, name: 'topic-item' }))
+      .to.throw(/exactly one JSX element/);
+    core.extractComponent(file, range, { feature: TEST_FEATURE_NAME, name: 'topic-item' });
+
+    expectFiles(['TopicItem.js', 'TopicItem.less'].map(mapFeatureFile));
+    expectLines(file, [
+      "import React, { Component } from 'react';",
+      "import { TopicItem } from './';",
+      '          <TopicItem key={topic.id} handleClick={this.handleClick} topic={topic} />',
+    ]);
+    expectNoLines(file, ["import moment from 'moment';"]);
+    expectLines(mapFeatureFile('TopicItem.js'), [
+      "import moment from 'moment';",
+      '    const { handleClick, topic } = this.props;',
+      '      <li key={topic.id} onClick={handleClick}>',
+      '        {topic.title} {moment(topic.date).fromNow()}',
+      '      </li>',
+    ]);
+    core.removeComponent(TEST_FEATURE_NAME, 'topic-item');
+    core.removeComponent(TEST_FEATURE_NAME, 'topic-list');
+  });
+
   it('remove component', () => {
     core.removeComponent(TEST_FEATURE_NAME, 'test-component');
     expectNoFiles([
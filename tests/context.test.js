@@ -0,0 +1,72 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const expect = require('chai').expect;
+require('./helpers');
+const core = require('../core');
+
+const testPrj = path.join(__dirname, './test-prj');
+
+function createMemoryPrj(root) {
+  const snapshot = { 'src/features/': '' };
+  [
+    'package.json',
+    'src/common/configStore.js',
+    'src/common/rootReducer.js',
+    'src/common/routeConfig.js',
+    'src/styles/index.less',
+  ].forEach((file) => {
+    snapshot[file] = fs.readFileSync(path.join(testPrj, file), 'utf8');
+  });
+  return core.backend.createMemoryBackend(snapshot, root);
+}
+
+describe('context', function () {
+  let ctx1;
+  let ctx2;
+  before(() => {
+    core.vio.reset();
+    ctx1 = core.createContext({ projectRoot: '/prj1', backend: createMemoryPrj('/prj1') });
+    ctx2 = core.createContext({ projectRoot: '/prj2', backend: createMemoryPrj('/prj2') });
+  });
+
+  after(() => {
+    core.vio.reset();
+  });
+
+  it('throws error without project root', () => {
+    expect(() => core.createContext({})).to.throw(/projectRoot/);
+  });
+
+  it('contexts have isolated state', () => {
+    ctx1.addFeature('feature-1');
+    ctx2.addFeature('feature-2');
+    ctx2.addComponent('feature-2', 'hello');
+
+    expect(ctx1.utils.getProjectRoot()).to.equal('/prj1/');
+    expect(ctx2.utils.getProjectRoot()).to.equal('/prj2/');
+    expect(ctx1.vio.dirExists('/prj1/src/features/feature-1')).to.be.true;
+    expect(ctx1.vio.dirExists('/prj2/src/features/feature-2')).to.be.false;
+    expect(ctx2.vio.fileExists('/prj2/src/features/feature-2/Hello.js')).to.be.true;
+
+    // The default instance isn't affected
+    expect(core.utils.getProjectRoot()).to.equal(core.utils.joinPath(testPrj) + '/');
+    expect(core.vio.getPendingChanges()).to.deep.equal([]);
+  });
+
+  it('flush contexts separately', () => {
+    ctx1.vio.flush({ history: false });
+    expect(ctx1.utils.getFeatures()).to.deep.equal(['feature-1']);
+    expect(ctx2.utils.getFeatures()).to.deep.equal([]);
+    expect(ctx2.vio.getPendingChanges().length).to.be.above(0);
+    ctx2.vio.reset();
+    expect(ctx2.vio.getPendingChanges()).to.deep.equal([]);
+    expect(ctx1.app.getFeatureStructure('feature-1').components.map(c => c.name)).to.deep.equal(['DefaultPage']);
+  });
+
+  it('run functions in a context', () => {
+    const root = ctx2.run(() => core.utils.getProjectRoot());
+    expect(root).to.equal('/prj2/');
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const _ = require('lodash');
+const expect = require('chai').expect;
+const helpers = require('./helpers');
+const core = require('../core');
+
+const vio = core.vio;
+const utils = core.utils;
+const coupling = core.coupling;
+
+const F1 = helpers.TEST_FEATURE_NAME;
+const F2 = helpers.TEST_FEATURE_NAME_2;
+
+describe('coupling', function () {
+  before(() => {
+    vio.reset();
+    core.addFeature(F1);
+    core.addFeature(F2);
+    core.addComponent(F1, 'comp-a');
+    core.addComponent(F2, 'comp-b');
+    vio.save(utils.mapFeatureFile(F1, 'CompA.js'), [
+      "import React, { Component } from 'react';",
+      `import { CompB } from '../${F2}';`,
+      '',
+      'export default class CompA extends Component {',
+      '  render() { return <CompB />; }',
+      '}',
+    ]);
+    vio.save(utils.mapFeatureFile(F2, 'CompB.js'), [
+      "import React, { Component } from 'react';",
+      `import CompA from '../${F1}/CompA';`,
+      '',
+      'export default class CompB extends Component {',
+      '  render() { return <CompA />; }',
+      '}',
+    ]);
+  });
+
+  after(() => {
+    vio.reset();
+    utils.setPkgJson(null);
+  });
+
+  it('getCouplingMatrix', () => {
+    const res = coupling.getCouplingMatrix();
+    expect(res.features).to.deep.equal([F1, F2]);
+    expect(res.matrix).to.deep.equal({
+      [F1]: { [F2]: { total: 1, index: 1, deep: 0 } },
+      [F2]: { [F1]: { total: 1, index: 0, deep: 1 } },
+    });
+  });
+
+  it('findCycles of modules', () => {
+    expect(coupling.findCycles()).to.deep.equal([[
+      utils.mapFeatureFile(F1, 'CompA.js'),
+      utils.mapFeatureFile(F2, 'CompB.js'),
+    ]]);
+  });
+
+  it('findCycles of features', () => {
+    expect(coupling.findCycles({ level: 'feature' })).to.deep.equal([[F1, F2]]);
+  });
+
+  it('checkRules', () => {
+    expect(coupling.checkRules({})).to.deep.equal({ passed: true, violations: [] });
+    const res = coupling.checkRules({
+      noModuleCycles: true,
+      noFeatureCycles: true,
+      noDeepImports: true,
+      forbidden: [{ from: F1, to: '*' }],
+    });
+    expect(res.passed).to.be.false;
+    expect(_.map(res.violations, 'rule').sort()).to.deep.equal(['forbidden', 'noDeepImports', 'noFeatureCycles', 'noModuleCycles']);
+    expect(_.find(res.violations, { rule: 'noDeepImports' })).to.deep.include({
+      file: `src/features/${F2}/CompB.js`,
+      target: `src/features/${F1}/CompA.js`,
+    });
+  });
+
+  it('check-deps command fails when rules are violated', () => {
+    utils.setPkgJson({ rekit: { dependencyRules: { noFeatureCycles: true } } });
+    expect(() => core.handleCommand({ commandName: 'check-deps' })).to.throw(/1 dependency rule violation/);
+    utils.setPkgJson({ rekit: { dependencyRules: { forbidden: [{ from: F1, to: 'no-feature' }] } } });
+    expect(() => core.handleCommand({ commandName: 'check-deps' })).to.not.throw();
+  });
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helpers = require('./helpers');
+const core = require('../core');
+
+const vio = core.vio;
+const utils = core.utils;
+const events = core.events;
+
+describe('events', function () {
+  let received;
+  function listen(name) {
+    events.on(name, evt => received.push([name, evt]));
+  }
+
+  beforeEach(() => {
+    vio.reset();
+    received = [];
+  });
+
+  afterEach(() => {
+    ['file:save', 'file:delete', 'file:move', 'dir:move', 'command:start', 'command:end'].forEach(name => events.off(name));
+  });
+
+  after(() => {
+    vio.reset();
+  });
+
+  it('emits vio events', () => {
+    ['file:save', 'file:delete', 'file:move', 'dir:move'].forEach(listen);
+    const a = utils.mapSrcFile('a.js');
+    vio.save(a, 'a');
+    vio.move(a, utils.mapSrcFile('b.js'));
+    vio.del(utils.mapSrcFile('b.js'));
+    vio.moveDir(utils.mapSrcFile('common'), utils.mapSrcFile('common2'));
+    expect(received).to.deep.equal([
+      ['file:save', { file: a }],
+      ['file:move', { from: a, to: utils.mapSrcFile('b.js') }],
+      ['file:delete', { file: utils.mapSrcFile('b.js') }],
+      ['dir:move', { from: utils.mapSrcFile('common'), to: utils.mapSrcFile('common2') }],
+    ]);
+  });
+
+  it('emits command events', () => {
+    ['command:start', 'command:end'].forEach(listen);
+    core.addFeature(helpers.TEST_FEATURE_NAME);
+    core.addComponent(helpers.TEST_FEATURE_NAME, 'hello', { connect: true });
+    expect(received.map(item => item[0])).to.deep.equal(['command:start', 'command:end', 'command:start', 'command:end']);
+    expect(received[3][1]).to.deep.equal({
+      command: 'add',
+      type: 'component',
+      args: [helpers.TEST_FEATURE_NAME, 'hello', { connect: true }],
+    });
+  });
+
+  it('emits command:end with the error when a command fails', () => {
+    listen('command:end');
+    expect(() => core.addComponent('no-feature', 'hello')).to.throw(Error);
+    expect(received[0][1].error).to.be.an('error');
+  });
+});
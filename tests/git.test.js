@@ -0,0 +1,98 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const childProcess = require('child_process');
+const expect = require('chai').expect;
+const shell = require('shelljs');
+require('./helpers');
+const core = require('../core');
+
+const vio = core.vio;
+const utils = core.utils;
+const git = core.git;
+
+const tmpDir = path.join(os.tmpdir(), 'rekit-git-test');
+const mapFile = file => utils.joinPath(tmpDir, file);
+const runGit = args => childProcess.execFileSync('git', args, { cwd: tmpDir, encoding: 'utf8' });
+
+describe('git', function () {
+  this.timeout(10000);
+
+  beforeEach(() => {
+    vio.reset();
+    shell.rm('-rf', tmpDir);
+    shell.mkdir('-p', mapFile('d1'));
+    shell.ShellString('{ "rekit": {} }').to(mapFile('package.json'));
+    shell.ShellString('a').to(mapFile('a.txt'));
+    shell.ShellString('b').to(mapFile('b.txt'));
+    shell.ShellString('c').to(mapFile('d1/c.txt'));
+    runGit(['init', '-q']);
+    runGit(['config', 'user.email', 'test@rekit.js.org']);
+    runGit(['config', 'user.name', 'test']);
+    runGit(['add', '.']);
+    runGit(['commit', '-q', '-m', 'init']);
+    utils.setProjectRoot(tmpDir);
+  });
+
+  after(() => {
+    vio.reset();
+    shell.rm('-rf', tmpDir);
+    utils.setProjectRoot(path.join(__dirname, './test-prj'));
+  });
+
+  it('generates commit message from commands', () => {
+    git.recordCommand({ command: 'add', type: 'component', args: ['home', 'hello', {}] });
+    expect(git.getCommitMessage()).to.equal('rekit add component home/hello');
+    git.recordCommand({ command: 'move', type: 'action', args: [{ feature: 'home', name: 'a' }, { feature: 'home', name: 'b' }] });
+    expect(git.getCommitMessage()).to.equal('rekit: 2 commands\n\n- add component home/hello\n- move action home/a to home/b');
+    git.clearCommands();
+  });
+
+  it('refuses to flush on a dirty working tree unless forced', () => {
+    shell.ShellString('a1').to(mapFile('a.txt'));
+    vio.save(mapFile('b.txt'), 'b2');
+    expect(() => vio.flush({ git: true })).to.throw(/not clean/);
+    expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b');
+    vio.flush({ git: { force: true } });
+    expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b2');
+  });
+
+  it('commits only staged files when forced with untracked files', () => {
+    shell.ShellString('u1').to(mapFile('u1.txt'));
+    shell.ShellString('u2').to(mapFile('u2.txt'));
+    vio.move(mapFile('u1.txt'), mapFile('u3.txt'));
+    vio.del(mapFile('u2.txt'));
+    vio.save(mapFile('b.txt'), 'b2');
+    const res = vio.flush({ git: { force: true, commit: 'update b' } });
+    expect(res.git.staged).to.deep.equal(['b.txt']);
+    expect(runGit(['show', '--name-status', '--format=', 'HEAD']).trim()).to.equal('M\tb.txt');
+    expect(git.getDirtyFiles()).to.deep.equal(['?? u3.txt']);
+    shell.rm(mapFile('u3.txt'));
+  });
+
+  it('moves and deletes files by git and commits changes', () => {
+    git.recordCommand({ command: 'move', type: 'feature', args: ['d1', 'd2'] });
+    vio.moveDir(mapFile('d1'), mapFile('d2'));
+    vio.del(mapFile('a.txt'));
+    vio.save(mapFile('b.txt'), 'b2');
+    vio.save(mapFile('e.txt'), 'e');
+    const res = vio.flush({ git: { commit: true } });
+    expect(res.git.commit).to.match(/^[0-9a-f]{40}$/);
+    expect(runGit(['log', '-1', '--format=%s']).trim()).to.equal('rekit move feature d1 to d2');
+    expect(runGit(['show', '--name-status', '--format=', 'HEAD']).trim().split('\n').sort()).to.deep.equal([
+      'A\te.txt',
+      'D\ta.txt',
+      'M\tb.txt',
+      'R100\td1/c.txt\td2/c.txt',
+    ]);
+    expect(git.getDirtyFiles()).to.deep.equal([]); // .rekit/history is ignored
+  });
+
+  it('reverts the git index when flush fails', () => {
+    vio.move(mapFile('a.txt'), mapFile('a2.txt'));
+    vio.save(mapFile('b.txt/f.txt'), 'f'); // b.txt is a file so it fails
+    expect(() => vio.flush({ git: true })).to.throw(/rolled back/);
+    expect(runGit(['status', '--porcelain'])).to.equal('');
+  });
+});
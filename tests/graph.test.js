@@ -0,0 +1,86 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helpers = require('./helpers');
+const core = require('../core');
+
+const vio = core.vio;
+const utils = core.utils;
+const graph = core.graph;
+
+const F1 = helpers.TEST_FEATURE_NAME;
+const F2 = helpers.TEST_FEATURE_NAME_2;
+
+describe('graph', function () {
+  before(() => {
+    vio.reset();
+    core.addFeature(F1);
+    core.addFeature(F2);
+    core.addComponent(F2, 'topic-list');
+    core.addComponent(F2, 'lazy-panel');
+    core.addAction(F1, 'fetch-topics');
+    vio.save(utils.mapFeatureFile(F1, 'TopicPage.js'), [
+      "import React, { Component } from 'react';",
+      `import { TopicList } from '../${F2}';`,
+      "import { fetchTopics } from './redux/actions';",
+      '',
+      'export default class TopicPage extends Component {',
+      '  componentDidMount() {',
+      `    import('../${F2}/LazyPanel');`,
+      '    fetchTopics();',
+      '  }',
+      '  render() {',
+      '    return <TopicList />;',
+      '  }',
+      '}',
+    ]);
+  });
+
+  after(() => {
+    vio.reset();
+  });
+
+  it('getGraphData', () => {
+    const data = graph.getGraphData();
+    expect(data.nodes).to.deep.include({ id: F1, type: 'feature', feature: F1, name: F1 });
+    expect(data.nodes).to.deep.include({
+      id: `${F2}/TopicList`,
+      type: 'component',
+      feature: F2,
+      name: 'TopicList',
+      file: `src/features/${F2}/TopicList.js`,
+    });
+    expect(data.edges).to.deep.include({ from: `${F1}/TopicPage`, to: `${F2}/TopicList`, type: 'component' });
+    expect(data.edges).to.deep.include({ from: `${F1}/TopicPage`, to: `${F1}/fetchTopics`, type: 'action' });
+    expect(data.edges).to.deep.include({ from: `${F1}/TopicPage`, to: `${F2}/LazyPanel`, type: 'component', dynamic: true });
+    expect(data.edges).to.deep.include({ from: F1, to: F2, type: 'feature', count: 2 });
+  });
+
+  it('getGraphData of a feature', () => {
+    const data = graph.getGraphData({ feature: F2 });
+    expect(data.nodes.map(n => n.id)).to.include(`${F1}/TopicPage`);
+    expect(data.nodes.map(n => n.id)).to.not.include(`${F1}/fetchTopics`);
+  });
+
+  it('exports dot', () => {
+    const dot = graph.exportGraph({ format: 'dot' });
+    expect(dot).to.match(/^digraph rekit \{/);
+    expect(dot).to.contain(`"${F1}/TopicPage" -> "${F2}/LazyPanel" [style=dashed];`);
+    expect(dot).to.contain(`"${F1}" -> "${F2}" [style=bold, label="2"];`);
+  });
+
+  it('exports mermaid', () => {
+    const mermaid = graph.exportGraph({ format: 'mermaid' });
+    expect(mermaid).to.match(/^graph LR\n/);
+    expect(mermaid).to.contain('a_feature_TopicPage -.-> another_feature_LazyPanel');
+    expect(mermaid).to.contain('feature_a_feature ==>|2| feature_another_feature');
+  });
+
+  it('exports json', () => {
+    expect(JSON.parse(graph.exportGraph({ format: 'json' }))).to.deep.equal(graph.getGraphData());
+  });
+
+  it('throws error for unknown format', () => {
+    expect(() => graph.exportGraph({ format: 'png' })).to.throw(Error);
+  });
+});
@@ -1,21 +1,27 @@
 /* eslint strict: 0, no-unused-expressions: 0 */
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
 const expect = require('chai').expect;
 const shell = require('shelljs');
 const _ = require('lodash');
 const utils = require('../core/utils');
 const vio = require('../core/vio');
+const cache = require('../core/cache');
 
 const TEST_FEATURE_NAME = 'a-feature';
 const TEST_FEATURE_NAME_2 = 'another-feature';
 
 // For testing, use a fake project root
-utils.setProjectRoot(path.join(__dirname, './test-prj'));
+const testPrj = path.join(__dirname, './test-prj');
+utils.setProjectRoot(testPrj);
 
 utils.setSilent(true);
 
+// Don't write the analysis cache to the test project
+cache.setEnabled(false);
+
 // function mapFile(file) {
 //   return path.join(__dirname, '../../src', file);
 // }
@@ -90,6 +96,22 @@ function expectNoLines(file, lines) {
   lines.forEach(line => expectNoLine(file, line));
 }
 
+// Files of the test project required by a virtual project in a memory backend
+function snapshotTestPrj() {
+  const snapshot = {};
+  [
+    'package.json',
+    'src/common/configStore.js',
+    'src/common/rootReducer.js',
+    'src/common/routeConfig.js',
+    'src/styles/index.less',
+  ].forEach((file) => {
+    snapshot[file] = fs.readFileSync(path.join(testPrj, file), 'utf8');
+  });
+  snapshot['src/features/'] = '';
+  return snapshot;
+}
+
 function escapeRegExp(s) {
   return s.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
 }
@@ -112,4 +134,5 @@ module.exports = {
   TEST_FEATURE_NAME,
   TEST_FEATURE_NAME_2,
   escapeRegExp,
+  snapshotTestPrj,
 };
@@ -154,6 +154,22 @@ export default {
         "import { E, E1 } from './E';",
       ]);
     });
+
+    it('should not duplicate comments around the import', () => {
+      vio.put(V_FILE, `\
+// Leading comment
+import { A } from './A';
+// Trailing comment
+import B from './B';
+`);
+      refactor.addImportFrom(V_FILE, './A', '', 'A1');
+      expect(vio.getContent(V_FILE)).to.equal(`\
+// Leading comment
+import { A, A1 } from './A';
+// Trailing comment
+import B from './B';
+`);
+    });
   });
 
   describe('addExportFrom', () => {
@@ -192,6 +208,20 @@ const otherCode = 1;
         "export { E, E1 } from './E';",
       ]);
     });
+
+    it('should not duplicate comments around the export', () => {
+      vio.put(V_FILE, `\
+// Leading comment
+export { A } from './A';
+// Trailing comment
+`);
+      refactor.addExportFrom(V_FILE, './A', '', 'A1');
+      expect(vio.getContent(V_FILE)).to.equal(`\
+// Leading comment
+export { A, A1 } from './A';
+// Trailing comment
+`);
+    });
   });
 
   describe('renameImportSpecifier', () => {
@@ -300,6 +330,20 @@ import {
         "  G1,",
       ]);
     });
+
+    it('should not duplicate comments around the import', () => {
+      vio.put(V_FILE, `\
+// Leading comment
+import { A, A1 } from './A';
+// Trailing comment
+`);
+      refactor.removeImportSpecifier(V_FILE, 'A1');
+      expect(vio.getContent(V_FILE)).to.equal(`\
+// Leading comment
+import { A } from './A';
+// Trailing comment
+`);
+    });
   });
 
   describe('removeNamedExport', () => {
@@ -442,6 +486,163 @@ export default Hello;
     });
   });
 
+  describe('classToFunction', () => {
+    it('converts a render only class with static props', () => {
+      vio.put(V_FILE, `\
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+
+export default class Hello extends Component {
+  static propTypes = {
+    name: PropTypes.string.isRequired,
+  };
+
+  static defaultProps = {
+    name: 'Rekit',
+  };
+
+  render() {
+    const { name } = this.props;
+
+    return (
+      <h1>Hello {name}</h1>
+    );
+  }
+}
+`);
+      expect(refactor.classToFunction(V_FILE)).to.not.be.empty;
+      expect(vio.getContent(V_FILE)).to.equal(`\
+import React from 'react';
+import PropTypes from 'prop-types';
+
+export default function Hello({ name }) {
+  return (
+    <h1>Hello {name}</h1>
+  );
+}
+
+Hello.propTypes = {
+  name: PropTypes.string.isRequired,
+};
+Hello.defaultProps = {
+  name: 'Rekit',
+};
+`);
+    });
+
+    it('replaces this.props by the props argument', () => {
+      vio.put(V_FILE, `\
+import React from 'react';
+
+export class Hello extends React.PureComponent {
+  render() {
+    const { title } = this.props;
+    return <h1 title={title}>{this.props.children}</h1>;
+  }
+}
+`);
+      refactor.classToFunction(V_FILE);
+      expectLines(V_FILE, [
+        "export function Hello(props) {",
+        "  const { title } = props;",
+        "  return <h1 title={title}>{props.children}</h1>;",
+      ]);
+    });
+
+    it('converts single line render methods', () => {
+      vio.put(V_FILE, `\
+import React, { Component } from 'react';
+
+export class Hello extends Component {
+  render() { const { name } = this.props; return <h1>{name}</h1>; }
+}
+
+export class World extends Component {
+  render() { return <h1>{this.props.name}</h1>; }
+}
+`);
+      refactor.classToFunction(V_FILE);
+      expect(vio.getContent(V_FILE)).to.equal(`\
+import React from 'react';
+
+export function Hello({ name }) {
+  return <h1>{name}</h1>;
+}
+
+export function World(props) {
+  return <h1>{props.name}</h1>;
+}
+`);
+    });
+
+    it('names an anonymous default exported class after the file', () => {
+      const file = '/vio-temp-dir/TopicList.js';
+      vio.put(file, `\
+import React, { Component } from 'react';
+
+export default class extends Component {
+  static defaultProps = { topics: [] };
+
+  render() {
+    return <ul>{this.props.topics.length}</ul>;
+  }
+}
+`);
+      expect(refactor.classToFunction(file)).to.not.be.empty;
+      expect(vio.getContent(file)).to.equal(`\
+import React from 'react';
+
+export default function TopicList(props) {
+  return <ul>{props.topics.length}</ul>;
+}
+
+TopicList.defaultProps = { topics: [] };
+`);
+    });
+
+    it('refuses classes with state or lifecycle methods', () => {
+      const CODE = `\
+import React, { Component } from 'react';
+
+export default class Hello extends Component {
+  componentDidMount() {}
+
+  render() {
+    return <h1 onClick={() => this.setState({})}>Hello</h1>;
+  }
+}
+`;
+      vio.put(V_FILE, CODE);
+      expect(refactor.classToFunction(V_FILE)).to.be.empty;
+      expect(vio.getContent(V_FILE)).to.equal(CODE);
+    });
+  });
+
+  describe('analyzeJsxRange', () => {
+    it('gives members of this unique prop names', () => {
+      vio.put(V_FILE, `\
+import React, { Component } from 'react';
+
+export default class Hello extends Component {
+  render() {
+    const { name } = this.props;
+    return (
+      <div title={name}>{this.state.name} {this.state.name} {this.props.name2}</div>
+    );
+  }
+}
+`);
+      const code = vio.getContent(V_FILE);
+      const res = refactor.analyzeJsxRange(V_FILE, code.indexOf('<div'), code.indexOf('</div>') + 6);
+      expect(res.code).to.equal('<div title={name}>{name2} {name2} {name22}</div>');
+      expect(res.props).to.deep.equal([
+        { name: 'name', value: 'name' },
+        { name: 'name2', value: 'this.state.name' },
+        { name: 'name22', value: 'this.props.name2' },
+      ]);
+    });
+  });
+
   describe('renameCssClassName', () => {
     const CODE = `\
 import React, { PureComponent } from 'react';
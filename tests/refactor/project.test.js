@@ -0,0 +1,233 @@
+'use strict';
+
+const expect = require('chai').expect;
+const core = require('../../core');
+const helpers = require('../helpers');
+
+const vio = core.vio;
+const utils = core.utils;
+const refactor = core.refactor;
+
+const F1 = helpers.TEST_FEATURE_NAME;
+const F2 = helpers.TEST_FEATURE_NAME_2;
+
+const expectLines = helpers.expectLines;
+const expectNoLines = helpers.expectNoLines;
+
+describe('rename an identifier in the project', function () {
+  const userFile = utils.mapFeatureFile(F2, 'TopicUser.js');
+  const deepUserFile = utils.mapFeatureFile(F2, 'DeepUser.js');
+
+  beforeEach(() => {
+    vio.reset();
+    core.addFeature(F1);
+    core.addFeature(F2);
+    core.addComponent(F1, 'topic-list');
+    vio.save(userFile, [
+      "import React from 'react';",
+      `import { TopicList } from '../${F1}';`,
+      `import * as af from '../${F1}';`,
+      '',
+      'export default () => <div><TopicList /><af.TopicList /></div>;',
+      'export const list = af.TopicList;',
+    ]);
+    vio.save(deepUserFile, [
+      "import React from 'react';",
+      `import TopicList from '../${F1}/TopicList';`,
+      `import { TopicList as List } from '../${F1}';`,
+      '',
+      'export default () => <div><TopicList /><List /></div>;',
+    ]);
+  });
+
+  after(() => {
+    vio.reset();
+    utils.setPkgJson(null);
+  });
+
+  it('renames the definition, re-exports and importers', () => {
+    const file = utils.mapComponent(F1, 'TopicList') + '.js';
+    const updated = refactor.renameIdentifierInProject(file, 'TopicList', 'TopicGrid');
+    expect(updated).to.include.members([file, utils.mapFeatureFile(F1, 'index.js'), userFile, deepUserFile]);
+
+    expectLines(file, ['export default class TopicGrid extends Component {']);
+    expectLines(utils.mapFeatureFile(F1, 'index.js'), ["export { default as TopicGrid } from './TopicList';"]);
+    expectLines(userFile, [
+      `import { TopicGrid } from '../${F1}';`,
+      'export default () => <div><TopicGrid /><af.TopicGrid /></div>;',
+      'export const list = af.TopicGrid;',
+    ]);
+    expectLines(deepUserFile, [
+      `import TopicGrid from '../${F1}/TopicList';`,
+      `import { TopicGrid as List } from '../${F1}';`,
+      'export default () => <div><TopicGrid /><List /></div>;',
+    ]);
+    expectNoLines(userFile, ['TopicList />']);
+  });
+
+  it('skips modules which fail to parse', () => {
+    const modernFile = utils.mapSrcFile('common/modern.js');
+    vio.save(modernFile, 'export const TopicList = window.topics?.list;');
+    const file = utils.mapComponent(F1, 'TopicList') + '.js';
+    const updated = refactor.renameIdentifierInProject(file, 'TopicList', 'TopicGrid');
+    expect(updated).to.include(userFile);
+    expect(updated).to.not.include(modernFile);
+    vio.del(modernFile);
+  });
+
+  it('resolves module-resolver aliases', () => {
+    utils.setPkgJson({ babel: { plugins: [['module-resolver', { alias: { src: './src' } }]] } });
+    const testFile = utils.mapTestFile(F1, 'TopicList.test.js');
+    refactor.renameIdentifierInProject(utils.mapComponent(F1, 'TopicList') + '.js', 'TopicList', 'TopicGrid');
+    utils.setPkgJson(null);
+    expectLines(testFile, [
+      `import { TopicGrid } from 'src/features/${F1}';`,
+      '      <TopicGrid />',
+    ]);
+  });
+
+  it('moveComponent in the same feature updates importers of other features', () => {
+    core.moveComponent({ feature: F1, name: 'topic-list' }, { feature: F1, name: 'topic-grid' });
+    expectLines(utils.mapFeatureFile(F1, 'index.js'), ["export { default as TopicGrid } from './TopicGrid';"]);
+    expectLines(userFile, [
+      `import { TopicGrid } from '../${F1}';`,
+      'export default () => <div><TopicGrid /><af.TopicGrid /></div>;',
+    ]);
+  });
+});
+
+describe('update imports after moving to another feature', function () {
+  const F3 = 'third-feature';
+  const pageFile = utils.mapFeatureFile(F2, 'Page.js');
+
+  beforeEach(() => {
+    vio.reset();
+    core.addFeature(F1);
+    core.addFeature(F2);
+    core.addFeature(F3);
+    core.addComponent(F1, 'topic-list');
+    core.addAsyncAction(F1, 'fetch-topics');
+    vio.save(pageFile, [
+      "import React, { Component } from 'react';",
+      "import { bindActionCreators } from 'redux';",
+      "import { connect } from 'react-redux';",
+      `import { DefaultPage, TopicList } from '../${F1}';`,
+      `import * as af from '../${F1}';`,
+      `import List from '../${F1}/TopicList';`,
+      `import * as actions from '../${F1}/redux/actions';`,
+      '',
+      'export class Page extends Component {',
+      '  componentDidMount() { this.props.actions.fetchTopics(); }',
+      '  render() { return <div><DefaultPage /><TopicList /><af.TopicList /><List /></div>; }',
+      '}',
+      '',
+      'function mapDispatchToProps(dispatch) {',
+      '  return { actions: bindActionCreators({ ...actions }, dispatch) };',
+      '}',
+      '',
+      'export default connect(null, mapDispatchToProps)(Page);',
+    ]);
+  });
+
+  after(() => {
+    vio.reset();
+  });
+
+  it('moveComponent updates named, namespace and deep imports', () => {
+    core.moveComponent({ feature: F1, name: 'topic-list' }, { feature: F3, name: 'topic-list' });
+    expectLines(pageFile, [
+      `import { DefaultPage } from '../${F1}';`,
+      `import * as af from '../${F1}';`,
+      `import List from '../${F3}/TopicList';`,
+      `import { TopicList } from '../${F3}';`,
+      '  render() { return <div><DefaultPage /><TopicList /><TopicList /><List /></div>; }',
+    ]);
+  });
+
+  it('moveComponent updates importers under tests', () => {
+    const testFile = utils.mapTestFile(F2, 'Page.test.js');
+    vio.save(testFile, [
+      "import React from 'react';",
+      `import { TopicList } from '../../../src/features/${F1}';`,
+      `import List from '../../../src/features/${F1}/TopicList';`,
+      '',
+      'export default () => <div><TopicList /><List /></div>;',
+    ]);
+    core.moveComponent({ feature: F1, name: 'topic-list' }, { feature: F3, name: 'topic-list' });
+    expectLines(testFile, [
+      `import { TopicList } from '../../../src/features/${F3}';`,
+      `import List from '../../../src/features/${F3}/TopicList';`,
+    ]);
+  });
+
+  it('moveComponent renames references if the name is changed', () => {
+    vio.save(pageFile, [
+      "import React from 'react';",
+      `import { TopicList } from '../${F1}';`,
+      '',
+      'export default () => <TopicList />;',
+    ]);
+    core.moveComponent({ feature: F1, name: 'topic-list' }, { feature: F3, name: 'topic-grid' });
+    expectLines(pageFile, [
+      `import { TopicGrid } from '../${F3}';`,
+      'export default () => <TopicGrid />;',
+    ]);
+  });
+
+  it('moves elements when some modules fail to parse', () => {
+    const actionType = utils.getActionType(F1, 'fetch-topics');
+    vio.save(utils.mapSrcFile('common/modern.js'), 'export const name = window.user?.name;');
+    vio.save(utils.mapFeatureFile(F2, 'redux/types.js'), [
+      `import * as types from '../../${F1}/redux/constants';`,
+      '',
+      `export const fetchType = types.${actionType};`,
+    ]);
+    core.moveComponent({ feature: F1, name: 'topic-list' }, { feature: F3, name: 'topic-list' });
+    expectLines(pageFile, [`import { TopicList } from '../${F3}';`]);
+    vio.del(utils.mapSrcFile('common/modern.js'));
+  });
+
+  it('moveAction adds the action to namespace imports', () => {
+    core.moveAction({ feature: F1, name: 'fetch-topics' }, { feature: F3, name: 'fetch-topics' });
+    expectLines(pageFile, [
+      `import * as actions from '../${F1}/redux/actions';`,
+      `import { fetchTopics, dismissFetchTopicsError } from '../${F3}/redux/actions';`,
+      '  return { actions: bindActionCreators({ ...actions, fetchTopics, dismissFetchTopicsError }, dispatch) };',
+    ]);
+  });
+
+  it('updateMovedImports uses module-resolver aliases', () => {
+    utils.setPkgJson({ babel: { plugins: [['module-resolver', { alias: { src: './src' } }]] } });
+    vio.save(pageFile, [
+      `import { TopicList } from 'src/features/${F1}';`,
+      `import * as af from 'src/features/${F1}';`,
+      `import { fetchTopics, dismissFetchTopicsError } from 'src/features/${F1}/redux/actions';`,
+      'af.TopicList;',
+    ]);
+    refactor.updateMovedImports(pageFile, {
+      file: utils.mapComponent(F1, 'TopicList') + '.js',
+      entry: utils.mapFeatureFile(F1, 'index.js'),
+      name: 'TopicList',
+    }, {
+      file: utils.mapComponent(F3, 'TopicList') + '.js',
+      entry: utils.mapFeatureFile(F3, 'index.js'),
+      name: 'TopicList',
+    });
+    refactor.updateMovedImports(pageFile, {
+      file: utils.mapReduxFile(F1, 'fetchTopics'),
+      entry: utils.mapReduxFile(F1, 'actions'),
+      name: 'fetchTopics',
+    }, {
+      file: utils.mapReduxFile(F3, 'loadTopics'),
+      entry: utils.mapReduxFile(F3, 'actions'),
+      name: 'loadTopics',
+    });
+    utils.setPkgJson(null);
+    expectLines(pageFile, [
+      `import { TopicList } from 'src/features/${F3}';`,
+      `import { dismissFetchTopicsError } from 'src/features/${F1}/redux/actions';`,
+      `import { loadTopics } from 'src/features/${F3}/redux/actions';`,
+      'TopicList;',
+    ]);
+  });
+});
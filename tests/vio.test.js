@@ -1,9 +1,15 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const _ = require('lodash');
 const expect = require('chai').expect;
+const shell = require('shelljs');
 const vio = require('../core/vio');
 const utils = require('../core/utils');
+const reporter = require('../core/reporter');
+const events = require('../core/events');
 require('./helpers');
 
 describe('vio', function () {
@@ -64,6 +70,309 @@ describe('vio', function () {
     });
   });
 
+  describe('flush', function () {
+    const tmpDir = utils.joinPath(os.tmpdir(), 'rekit-vio-test');
+    const mapFile = f => utils.joinPath(tmpDir, f);
+    beforeEach(() => {
+      vio.reset();
+      utils.setProjectRoot(tmpDir);
+      shell.rm('-rf', tmpDir);
+      shell.mkdir('-p', mapFile('d1'));
+      shell.ShellString('a').to(mapFile('a.txt'));
+      shell.ShellString('b').to(mapFile('b.txt'));
+      shell.ShellString('c').to(mapFile('d1/c.txt'));
+    });
+
+    after(() => {
+      shell.rm('-rf', tmpDir);
+      utils.setProjectRoot(path.join(__dirname, './test-prj'));
+    });
+
+    it('writes all changes to disk', () => {
+      vio.del(mapFile('a.txt'));
+      vio.save(mapFile('b.txt'), 'b2');
+      vio.move(mapFile('d1/c.txt'), mapFile('d2/c.txt'));
+      vio.save(mapFile('d3/e.txt'), 'e');
+      vio.flush();
+      expect(shell.test('-e', mapFile('a.txt'))).to.be.false;
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b2');
+      expect(shell.test('-e', mapFile('d1/c.txt'))).to.be.false;
+      expect(shell.cat(mapFile('d2/c.txt')).toString()).to.equal('c');
+      expect(shell.cat(mapFile('d3/e.txt')).toString()).to.equal('e');
+    });
+
+    it('returns structured result', () => {
+      vio.del(mapFile('a.txt'));
+      vio.save(mapFile('b.txt'), 'b2\nb3');
+      vio.move(mapFile('d1/c.txt'), mapFile('d1/c2.txt'));
+      vio.del(mapFile('no-file.txt'));
+      vio.save(mapFile('d3/e.txt'), 'e');
+      const res = vio.flush();
+      expect(res.version).to.equal(1);
+      expect(res.flushed).to.be.true;
+      expect(_.map(res.changes, c => _.omit(c, 'diff'))).to.deep.equal([
+        { type: 'del-file', file: 'a.txt' },
+        { type: 'mv-file', file: 'd1/c.txt', to: 'd1/c2.txt' },
+        { type: 'update-file', file: 'b.txt', added: 2, removed: 1 },
+        { type: 'create-file', file: 'd3/e.txt', added: 1 },
+      ]);
+      expect(res.warnings).to.deep.equal([{ type: 'del-file', warning: 'no-file', file: 'no-file.txt' }]);
+      expect(res.summary).to.deep.equal({
+        dirsCreated: 0,
+        filesCreated: 1,
+        filesUpdated: 1,
+        filesDeleted: 1,
+        filesMoved: 1,
+        dirsMoved: 0,
+        linesAdded: 3,
+        linesRemoved: 1,
+        warnings: 1,
+        conflicts: 0,
+      });
+    });
+
+    it('outputs result by the reporter', () => {
+      const outputs = [];
+      reporter.setReporter({
+        message: _.noop,
+        flushResult: r => outputs.push(r),
+      });
+      try {
+        vio.save(mapFile('b.txt'), 'b2');
+        utils.setSilent(false);
+        const res = vio.flush();
+        expect(outputs).to.deep.equal([res]);
+      } finally {
+        utils.setSilent(true);
+        reporter.setReporter('text');
+      }
+    });
+
+    it('emits flush events', () => {
+      const received = [];
+      events.on('flush:start', evt => received.push(['flush:start', evt]));
+      events.on('flush:end', evt => received.push(['flush:end', evt]));
+      try {
+        vio.save(mapFile('b.txt'), 'b2');
+        const res = vio.flush({ history: false });
+        expect(received).to.deep.equal([
+          ['flush:start', { args: { history: false } }],
+          ['flush:end', { args: { history: false }, result: res }],
+        ]);
+      } finally {
+        events.off('flush:start');
+        events.off('flush:end');
+      }
+    });
+
+    it('rolls back all changes when some step fails', () => {
+      vio.del(mapFile('a.txt'));
+      vio.save(mapFile('b.txt'), 'b2');
+      vio.moveDir(mapFile('d1'), mapFile('d2/d1'));
+      vio.save(mapFile('d3/e.txt'), 'e');
+      vio.save(mapFile('b.txt/f.txt'), 'f'); // b.txt is a file so it fails
+      let err = null;
+      try {
+        vio.flush();
+      } catch (e) {
+        err = e;
+      }
+      expect(err).to.exist;
+      expect(err.step).to.equal('save file');
+      expect(err.file).to.equal(mapFile('b.txt/f.txt'));
+      expect(err.message).to.match(/^Failed to save file /);
+      expect(shell.cat(mapFile('a.txt')).toString()).to.equal('a');
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b');
+      expect(shell.cat(mapFile('d1/c.txt')).toString()).to.equal('c');
+      expect(shell.test('-e', mapFile('d2'))).to.be.false;
+      expect(shell.test('-e', mapFile('d3'))).to.be.false;
+    });
+
+    it('undo and redo flushed changes', () => {
+      vio.del(mapFile('a.txt'));
+      vio.save(mapFile('b.txt'), 'b2');
+      vio.moveDir(mapFile('d1'), mapFile('d2/d1'));
+      vio.save(mapFile('d3/e.txt'), 'e');
+      vio.flush();
+      vio.reset();
+      vio.save(mapFile('b.txt'), 'b3');
+      vio.flush();
+      vio.reset();
+      expect(shell.test('-e', mapFile('.rekit/history/index.json'))).to.be.true;
+
+      vio.undo();
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b2');
+      vio.undo();
+      expect(shell.cat(mapFile('a.txt')).toString()).to.equal('a');
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b');
+      expect(shell.cat(mapFile('d1/c.txt')).toString()).to.equal('c');
+      expect(shell.test('-e', mapFile('d2'))).to.be.false;
+      expect(shell.test('-e', mapFile('d3'))).to.be.false;
+      expect(vio.undo()).to.be.null;
+
+      vio.redo();
+      expect(shell.test('-e', mapFile('a.txt'))).to.be.false;
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b2');
+      expect(shell.cat(mapFile('d2/d1/c.txt')).toString()).to.equal('c');
+      expect(shell.cat(mapFile('d3/e.txt')).toString()).to.equal('e');
+      vio.redo();
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b3');
+      expect(vio.redo()).to.be.null;
+    });
+
+    it('refuses to undo or redo files changed since flushed', () => {
+      vio.save(mapFile('b.txt'), 'b2');
+      vio.flush();
+      vio.reset();
+      shell.ShellString('b3').to(mapFile('b.txt'));
+      expect(vio.undo).to.throw(/modified since it was flushed/);
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b3');
+
+      shell.ShellString('b2').to(mapFile('b.txt'));
+      vio.undo();
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b');
+      shell.rm(mapFile('b.txt'));
+      expect(vio.redo).to.throw(/deleted since it was flushed/);
+      expect(shell.test('-e', mapFile('b.txt'))).to.be.false;
+    });
+
+    it('keeps files added by others into folders created by the flush when undo', () => {
+      vio.save(mapFile('d3/d4/e.txt'), 'e');
+      vio.flush();
+      vio.reset();
+      shell.ShellString('f').to(mapFile('d3/f.txt'));
+      vio.undo();
+      expect(shell.test('-e', mapFile('d3/d4/e.txt'))).to.be.false;
+      expect(shell.cat(mapFile('d3/f.txt')).toString()).to.equal('f');
+
+      shell.rm(mapFile('d3/f.txt'));
+      vio.redo();
+      vio.undo();
+      expect(shell.test('-e', mapFile('d3'))).to.be.false;
+    });
+
+    it('refuses to undo a move if the original path has been created since flushed', () => {
+      vio.move(mapFile('a.txt'), mapFile('a2.txt'));
+      vio.flush();
+      vio.reset();
+      shell.ShellString('a3').to(mapFile('a.txt'));
+      expect(vio.undo).to.throw(/a\.txt has been created since it was flushed/);
+      expect(shell.cat(mapFile('a.txt')).toString()).to.equal('a3');
+      expect(shell.cat(mapFile('a2.txt')).toString()).to.equal('a');
+    });
+
+    it('changesets undone are discarded after a new flush', () => {
+      vio.save(mapFile('b.txt'), 'b2');
+      vio.flush();
+      vio.reset();
+      vio.undo();
+      vio.save(mapFile('a.txt'), 'a2');
+      vio.flush();
+      vio.reset();
+      expect(vio.redo()).to.be.null;
+      vio.undo();
+      expect(shell.cat(mapFile('a.txt')).toString()).to.equal('a');
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b');
+    });
+
+    it('preview pending changes as unified diff without touching disk', () => {
+      vio.del(mapFile('a.txt'));
+      vio.save(mapFile('b.txt'), 'b2');
+      vio.moveDir(mapFile('d1'), mapFile('d2'));
+      vio.save(mapFile('d3/e.txt'), 'e');
+      const diff = vio.flush({ dryRun: true, patchFile: mapFile('changes.patch') });
+      expect(diff).to.equal(vio.preview());
+      expect(shell.cat(mapFile('changes.patch')).toString()).to.equal(diff);
+      expect(diff.split('\n')).to.include.members([
+        'diff --git a/a.txt b/a.txt',
+        'deleted file mode 100644',
+        '-a',
+        '-b',
+        '+b2',
+        'diff --git a/d1/c.txt b/d2/c.txt',
+        'rename from d1/c.txt',
+        'rename to d2/c.txt',
+        'new file mode 100644',
+        '+++ b/d3/e.txt',
+        '@@ -0,0 +1,1 @@',
+        '+e',
+      ]);
+      expect(shell.cat(mapFile('a.txt')).toString()).to.equal('a');
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b');
+      expect(shell.test('-e', mapFile('d2'))).to.be.false;
+    });
+
+    it('refuses to flush if a file is changed by others after read', () => {
+      vio.getLines(mapFile('b.txt'));
+      shell.ShellString('b\nb1').to(mapFile('b.txt'));
+      fs.utimesSync(mapFile('b.txt'), new Date(), new Date(Date.now() + 10000));
+      vio.save(mapFile('b.txt'), 'b2');
+      vio.del(mapFile('a.txt'));
+      const res = vio.flush();
+      expect(res.flushed).to.be.false;
+      expect(res.changes).to.deep.equal([]);
+      expect(res.conflicts).to.deep.equal([{
+        file: 'b.txt',
+        reason: 'modified',
+        resolution: 'refused',
+      }]);
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('b\nb1');
+      expect(shell.test('-e', mapFile('a.txt'))).to.be.true;
+    });
+
+    it('merges changes by others after read', () => {
+      shell.ShellString('1\n2\n3\n4\n5').to(mapFile('b.txt'));
+      vio.getLines(mapFile('b.txt'));
+      shell.ShellString('1\n2\n3\n4\nfive').to(mapFile('b.txt'));
+      fs.utimesSync(mapFile('b.txt'), new Date(), new Date(Date.now() + 10000));
+      vio.save(mapFile('b.txt'), 'one\n2\n3\n4\n5');
+      const res = vio.flush({ onConflict: 'merge' });
+      expect(res.conflicts[0]).to.deep.equal({
+        file: 'b.txt',
+        reason: 'modified',
+        resolution: 'merged',
+      });
+      expect(shell.cat(mapFile('b.txt')).toString()).to.equal('one\n2\n3\n4\nfive');
+    });
+
+    it('throws error when undo with pending changes', () => {
+      vio.save(mapFile('b.txt'), 'b2');
+      expect(vio.undo).to.throw(Error);
+    });
+  });
+
+  describe('session', () => {
+    const sessionFile = path.join(os.tmpdir(), 'rekit-vio-session.json');
+
+    after(() => {
+      shell.rm('-f', sessionFile);
+    });
+
+    it('saves and loads pending changes', () => {
+      vio.save(utils.mapSrcFile('a.js'), 'a');
+      vio.getLines(utils.mapSrcFile('common/rootReducer.js'));
+      vio.moveDir(utils.mapSrcFile('common'), utils.mapSrcFile('common2'));
+      vio.del(utils.mapSrcFile('styles/index.less'));
+      vio.mkdir(utils.mapSrcFile('d1'));
+      const changes = vio.getPendingChanges();
+      vio.saveSession(sessionFile);
+
+      const session = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+      expect(session.version).to.equal(1);
+      expect(session.mvDirs).to.deep.equal({ 'src/common': 'src/common2' });
+
+      vio.reset();
+      vio.loadSession(sessionFile);
+      expect(vio.getPendingChanges()).to.deep.equal(changes);
+      expect(vio.getContent(utils.mapSrcFile('a.js'))).to.equal('a');
+      expect(vio.dirExists(utils.mapSrcFile('d1'))).to.be.true;
+    });
+
+    it('throws error if the session file does not exist', () => {
+      expect(() => vio.loadSession(path.join(os.tmpdir(), 'rekit-no-session.json'))).to.throw(Error);
+    });
+  });
+
   describe('ls', () => {
     utils.setProjectRoot(path.join(__dirname, './test-prj'));
     it('list files under src/common', () => {